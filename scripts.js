@@ -1,15 +1,399 @@
+// ENHANCED: Pluggable Storage Engine
+// Every app key lives behind StorageEngine. Reads are served synchronously from
+// an in-memory cache hydrated once at startup; writes update the cache and are
+// persisted to IndexedDB, or to localStorage when IndexedDB is unavailable.
+// Other open tabs keep their caches current through a BroadcastChannel.
+const STORAGE_DB_NAME = 'hollywood_mastery';
+const STORAGE_DB_VERSION = 1;
+const STORAGE_STORE = 'records';
+const STORAGE_ENGINE_FLAG = 'storage_engine';
+const STORAGE_CHANNEL_NAME = 'hollywood_mastery_storage';
+const DAY_KEY_PATTERN = /^mastery_\d{4}-\d{2}-\d{2}$/;
+const PROFILE_NAMESPACE_PATTERN = /^profile_[a-z0-9]+:/;
+
+function isDayRecordKey(key) {
+    return DAY_KEY_PATTERN.test(key);
+}
+
+// Every key family the app writes. Storage migration, backups and restore
+// verification all read this list, so new data only needs registering here.
+// Order matters: the first matching family wins. Device-local preferences
+// set backup: false; global: true keys are shared by every profile.
+const STORAGE_KEY_REGISTRY = [
+    { id: 'days', pattern: DAY_KEY_PATTERN, description: 'Daily records' },
+    { id: 'archives', pattern: /^mastery_archive_\d{4}-\d{2}$/, description: 'Compacted monthly history' },
+    { id: 'todays-goals', pattern: /^mastery_todays_goal_\d{4}-\d{2}-\d{2}$/, description: "Today's focus goals" },
+    { id: 'weekly-reviews', pattern: /^mastery_review_\d{4}-\d{2}-\d{2}$/, description: 'Weekly reviews' },
+    { id: 'goal-path', pattern: /^mastery_goal_path$/, description: 'Reverse goal path' },
+    { id: 'runway', pattern: /^mastery_runway_(savings|expenses)$/, description: 'Financial runway' },
+    { id: 'metric-counts', pattern: /^mastery_(tier1-auditions|tier2-auditions|callbacks-count|roles-count)_\d{4}-\d{2}$/, description: 'Monthly metric counters' },
+    { id: 'metric-history', pattern: /^(tier1-auditions|tier2-auditions|callbacks-count|roles-count)_history_\d{4}-\d{2}$/, description: 'Audition, callback and booking logs' },
+    { id: 'probability-model', pattern: /^probability_model$/, description: 'Probability weights, caps and windows' },
+    { id: 'industry-relationships', pattern: /^industry_relationships(_history)?$/, description: 'Relationship ratings and their changes' },
+    { id: 'industry-interactions', pattern: /^industry_(events|followups|contacts)_\d{4}-\d{2}$/, description: 'Industry interaction logs' },
+    { id: 'xp-ledger', pattern: /^xp_ledger_\d{4}-\d{2}$/, description: 'XP earn/revoke events', backup: false },
+    { id: 'intensity', pattern: /^current_intensity$/, description: 'Competition mode' },
+    { id: 'momentum-snapshots', pattern: /^momentum_snapshots$/, description: 'Daily momentum scores by window' },
+    { id: 'intensity-history', pattern: /^intensity_history$/, description: 'Intensity in effect by date' },
+    { id: 'recurring-tasks', pattern: /^recurring_tasks$/, description: 'Recurring task series' },
+    { id: 'task-settings', pattern: /^task_settings$/, description: 'Unfinished task carry-over preference' },
+    { id: 'audit-log', pattern: /^audit_log_\d{4}-\d{2}$/, description: 'Audit trail of changes to past days' },
+    { id: 'rest-days', pattern: /^streak_rest_days$/, description: 'Planned rest days' },
+    { id: 'day-settings', pattern: /^day_settings$/, description: 'Day rollover hour and travel days' },
+    { id: 'domain-config', pattern: /^domain_config$/, description: 'Domains, activity categories and targets' },
+    { id: 'guided-sessions', pattern: /^guided_sessions$/, description: 'Breathwork patterns and session bells' },
+    { id: 'focus-session', pattern: /^focus_session$/, description: 'Focus timer session in progress', backup: false },
+    { id: 'guided-session', pattern: /^guided_session$/, description: 'Guided session in progress', backup: false },
+    { id: 'day-clock', pattern: /^day_clock$/, description: 'Last logical day seen on this device', backup: false },
+    { id: 'action-history', pattern: /^action_history_\d{4}-\d{2}-\d{2}$/, description: 'Undo/redo history', backup: false },
+    { id: 'sync-settings', pattern: /^sync_(config|state)$/, description: 'Sync endpoint and device state', backup: false },
+    { id: 'backup-status', pattern: /^last_backup_time$/, description: 'Last backup time', backup: false },
+    { id: 'backup-encryption', pattern: /^backup_encryption$/, description: 'Backup encryption preference', backup: false },
+    { id: 'profiles', pattern: /^(profiles_index|active_profile)$/, description: 'Profile list and active profile', backup: false, global: true },
+    // Catch-all so records from older releases are never left out of a backup
+    { id: 'other', pattern: /^(mastery|industry)_/, description: 'Other app records' }
+];
+
+function getKeyFamily(key) {
+    return STORAGE_KEY_REGISTRY.find(family => family.pattern.test(key)) || null;
+}
+
+// Accepts stored keys, which carry a profile namespace for non-default profiles
+function isAppStorageKey(key) {
+    return getKeyFamily(key.replace(PROFILE_NAMESPACE_PATTERN, '')) !== null;
+}
+
+function isGlobalStorageKey(key) {
+    const family = getKeyFamily(key);
+    return family !== null && family.global === true;
+}
+
+class LocalStorageBackend {
+    constructor() {
+        this.name = 'localStorage';
+    }
+    
+    async open() {
+        // Accessing length throws when storage is disabled (e.g. private mode)
+        localStorage.length;
+        return this;
+    }
+    
+    async loadAll() {
+        const records = {};
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (isAppStorageKey(key)) {
+                records[key] = localStorage.getItem(key);
+            }
+        }
+        return records;
+    }
+    
+    // Synchronous so QuotaExceededError reaches the caller like it always has
+    put(key, value) {
+        localStorage.setItem(key, value);
+    }
+    
+    delete(key) {
+        localStorage.removeItem(key);
+    }
+}
+
+class IndexedDBBackend {
+    constructor() {
+        this.name = 'indexedDB';
+        this.db = null;
+    }
+    
+    open() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+            
+            const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORAGE_STORE)) {
+                    db.createObjectStore(STORAGE_STORE);
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        });
+    }
+    
+    transaction(mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(STORAGE_STORE, mode);
+            const result = work(tx.objectStore(STORAGE_STORE));
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+    
+    loadAll() {
+        const records = {};
+        return this.transaction('readonly', store => {
+            store.openCursor().onsuccess = event => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    records[cursor.key] = cursor.value;
+                    cursor.continue();
+                }
+            };
+        }).then(() => records);
+    }
+    
+    put(key, value) {
+        return this.transaction('readwrite', store => {
+            store.put(value, key);
+        });
+    }
+    
+    putMany(records) {
+        return this.transaction('readwrite', store => {
+            Object.keys(records).forEach(key => store.put(records[key], key));
+        });
+    }
+    
+    delete(key) {
+        return this.transaction('readwrite', store => {
+            store.delete(key);
+        });
+    }
+}
+
+// Callers always use logical keys ("mastery_2026-01-05"); the engine maps them
+// into the active profile's namespace before touching the cache or backend.
+const StorageEngine = {
+    backend: null,
+    cache: new Map(),
+    namespace: '',
+    pending: Promise.resolve(),
+    listeners: [],
+    channel: null,
+    warnedWriteFailure: false,
+    
+    async init() {
+        try {
+            this.backend = await new IndexedDBBackend().open();
+            await this.migrateFromLocalStorage();
+        } catch (error) {
+            console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+            this.backend = await new LocalStorageBackend().open();
+        }
+        
+        const records = await this.backend.loadAll();
+        this.cache = new Map(Object.entries(records));
+        
+        if (window.BroadcastChannel) {
+            this.channel = new BroadcastChannel(STORAGE_CHANNEL_NAME);
+            this.channel.onmessage = event => this.applyRemoteChange(event.data);
+        }
+        return this;
+    },
+    
+    // One-time copy of legacy localStorage keys into IndexedDB on first launch
+    async migrateFromLocalStorage() {
+        if (localStorage.getItem(STORAGE_ENGINE_FLAG) === this.backend.name) return;
+        
+        const legacy = await new LocalStorageBackend().loadAll();
+        const keys = Object.keys(legacy);
+        await this.backend.putMany(legacy);
+        
+        localStorage.setItem(STORAGE_ENGINE_FLAG, this.backend.name);
+        keys.forEach(key => localStorage.removeItem(key));
+    },
+    
+    setNamespace(namespace) {
+        this.namespace = namespace;
+    },
+    
+    storageKey(key) {
+        return isGlobalStorageKey(key) ? key : this.namespace + key;
+    },
+    
+    getItem(key) {
+        const storageKey = this.storageKey(key);
+        return this.cache.has(storageKey) ? this.cache.get(storageKey) : null;
+    },
+    
+    setItem(key, value) {
+        const storageKey = this.storageKey(key);
+        const stored = String(value);
+        const previous = this.cache.get(storageKey);
+        this.cache.set(storageKey, stored);
+        
+        try {
+            this.persist(key, this.backend.put(storageKey, stored), previous === undefined ? null : previous);
+        } catch (error) {
+            // Keep the cache honest when the backend rejects the write synchronously
+            if (previous === undefined) {
+                this.cache.delete(storageKey);
+            } else {
+                this.cache.set(storageKey, previous);
+            }
+            throw error;
+        }
+        this.broadcast(storageKey, stored);
+        this.notify(key, stored);
+    },
+    
+    removeItem(key) {
+        const storageKey = this.storageKey(key);
+        if (!this.cache.has(storageKey)) return;
+        const previous = this.cache.get(storageKey);
+        this.cache.delete(storageKey);
+        this.persist(key, this.backend.delete(storageKey), previous);
+        this.broadcast(storageKey, null);
+        this.notify(key, null);
+    },
+    
+    // Drops every record of another profile's namespace
+    clearNamespace(namespace) {
+        Array.from(this.cache.keys())
+            .filter(key => key.startsWith(namespace))
+            .forEach(key => {
+                this.cache.delete(key);
+                this.persist(null, this.backend.delete(key));
+                this.broadcast(key, null);
+            });
+    },
+    
+    broadcast(storageKey, value) {
+        if (this.channel) this.channel.postMessage({ key: storageKey, value });
+    },
+    
+    // A write made in another tab: the backend already has it, so only the
+    // cache is updated. Listeners of the active profile hear it as remote.
+    applyRemoteChange({ key: storageKey, value }) {
+        if (value === null) {
+            this.cache.delete(storageKey);
+        } else {
+            this.cache.set(storageKey, value);
+        }
+        
+        if (isGlobalStorageKey(storageKey)) {
+            this.notify(storageKey, value, true);
+        } else if (storageKey.startsWith(this.namespace) && !PROFILE_NAMESPACE_PATTERN.test(storageKey.slice(this.namespace.length))) {
+            this.notify(storageKey.slice(this.namespace.length), value, true);
+        }
+    },
+    
+    // Listeners see every committed write; value is null for removals. remote
+    // is true for writes made in another tab, whose follow-up writes (ledger
+    // events, sync tracking) arrive from that tab as well.
+    onChange(listener) {
+        this.listeners.push(listener);
+    },
+    
+    notify(key, value, remote = false) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(key, value, remote);
+            } catch (error) {
+                console.error(`Storage listener failed for ${key}:`, error);
+            }
+        });
+    },
+    
+    // Logical keys of the active profile; global keys are never listed
+    keys(prefix = '') {
+        const scoped = this.namespace + prefix;
+        return Array.from(this.cache.keys())
+            .filter(key => key.startsWith(scoped))
+            .map(key => key.slice(this.namespace.length))
+            .filter(key => !PROFILE_NAMESPACE_PATTERN.test(key) && !isGlobalStorageKey(key));
+    },
+    
+    // Day records between two YYYY-MM-DD dates (inclusive), oldest first
+    getDayRange(startDate, endDate) {
+        const lower = `mastery_${startDate}`;
+        const upper = `mastery_${endDate}`;
+        
+        return this.keys('mastery_')
+            .filter(key => isDayRecordKey(key) && key >= lower && key <= upper)
+            .sort()
+            .map(key => ({
+                date: key.replace('mastery_', ''),
+                data: safeLocalStorageGet(key, {})
+            }));
+    },
+    
+    // Backend writes settle after the cache has moved on. key is the logical
+    // key written (null for other profiles' records) and previous its value
+    // before the write, so a write that fails can be undone in the cache.
+    persist(key, result, previous = null) {
+        if (!(result && typeof result.then === 'function')) return;
+        
+        const written = key === null ? null : this.getItem(key);
+        // Handled at once, so a rejection is never reported as uncaught
+        const failure = result.then(() => null, error => error || new Error('Write failed'));
+        this.pending = this.pending
+            .then(() => failure)
+            .then(error => error && this.recoverFailedWrite(key, written, previous, error))
+            .catch(error => console.error('Failed to recover from a failed write:', error));
+    },
+    
+    async recoverFailedWrite(key, written, previous, error) {
+        console.error('Failed to persist record:', error);
+        if (key === null) return;
+        // A later write of the same key supersedes this one either way
+        const storageKey = this.storageKey(key);
+        const current = () => this.getItem(key);
+        if (current() !== written) return;
+        
+        // Same cleanup as the localStorage path: compact old days, then retry once
+        if (error && error.name === 'QuotaExceededError') {
+            try {
+                clearOldData();
+                if (current() !== written) return;
+                await (written === null ? this.backend.delete(storageKey) : this.backend.put(storageKey, written));
+                return;
+            } catch (retryError) {
+                console.error('Still cannot save after cleanup:', retryError);
+            }
+        }
+        
+        if (current() !== written) return;
+        if (previous === null) {
+            this.cache.delete(storageKey);
+        } else {
+            this.cache.set(storageKey, previous);
+        }
+        this.broadcast(storageKey, previous);
+        this.notify(key, previous);
+        
+        if (!this.warnedWriteFailure) {
+            this.warnedWriteFailure = true;
+            alert('⚠️ Your latest changes could not be saved on this device (storage is full or unavailable) and have been undone.\n\nExport a backup, then use Compact Old History to free up space.');
+        }
+    },
+    
+    flush() {
+        return this.pending;
+    }
+};
+
 // ENHANCED: Data Corruption Recovery System
 function safeLocalStorageGet(key, fallback = {}) {
     try {
-        const item = localStorage.getItem(key);
+        const item = StorageEngine.getItem(key);
         if (!item) return fallback;
         
         const parsed = JSON.parse(item);
-        // Basic validation for critical structures
-        if (key.startsWith('mastery_') && typeof parsed === 'object') {
-            if (!parsed.domains) parsed.domains = {};
-            if (!parsed.tasks) parsed.tasks = [];
-            if (typeof parsed.alignment !== 'boolean') parsed.alignment = false;
+        // Day records written by older versions are upgraded in memory; ones
+        // from a newer version are returned as stored and cannot be saved over
+        if (isDayRecordKey(key) && parsed && typeof parsed === 'object') {
+            return isNewerDayRecord(parsed) ? parsed : migrateDayRecord(parsed);
         }
         return parsed;
     } catch (error) {
@@ -20,16 +404,25 @@ function safeLocalStorageGet(key, fallback = {}) {
 }
 
 function safeLocalStorageSet(key, value) {
+    if (isDayRecordKey(key)) {
+        if (isReadOnlyDay(key)) {
+            warnReadOnlyDay(key);
+            return false;
+        }
+        stampDayRecord(key, value);
+    }
+    
     try {
-        localStorage.setItem(key, JSON.stringify(value));
+        StorageEngine.setItem(key, JSON.stringify(value));
         return true;
     } catch (error) {
         console.error(`Failed to save ${key}:`, error);
-        // Try to clear some space if quota exceeded
+        // Try to clear some space if quota exceeded (localStorage backend only)
         if (error.name === 'QuotaExceededError') {
-            clearOldData();
+            // Compaction writes archives too, so it can hit the same quota
             try {
-                localStorage.setItem(key, JSON.stringify(value));
+                clearOldData();
+                StorageEngine.setItem(key, JSON.stringify(value));
                 return true;
             } catch (e) {
                 console.error('Still cannot save after cleanup:', e);
@@ -39,766 +432,5798 @@ function safeLocalStorageSet(key, value) {
     }
 }
 
+// Quota pressure compacts old days into monthly archives instead of deleting them
 function clearOldData() {
-    const cutoff = new Date();
-    cutoff.setMonth(cutoff.getMonth() - 3); // Keep 3 months of data
-    
-    for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key.startsWith('mastery_') && key.length === 16) { // Date keys
-            const dateStr = key.replace('mastery_', '');
-            const date = new Date(dateStr);
-            if (date < cutoff) {
-                localStorage.removeItem(key);
-            }
-        }
-    }
+    archiveOldDays();
 }
 
-// ENHANCED: Undo System
-const actionHistory = [];
-const MAX_HISTORY = 10;
+// ENHANCED: Profiles
+// Several people can share one installation. Each profile's records live in
+// their own storage namespace ("profile_<id>:"); the default profile keeps the
+// unprefixed keys, so existing installs carry on without a migration.
+// Switching reloads the app so every module starts from the new profile's data.
+const DEFAULT_PROFILE_ID = 'default';
 
-function executeAction(action) {
-    action.execute();
-    actionHistory.push(action);
-    
-    // Keep history manageable
-    if (actionHistory.length > MAX_HISTORY) {
-        actionHistory.shift();
-    }
+function createProfileRecord(id, name) {
+    return { id, name, headline: '', subtitle: '', createdAt: new Date().toISOString() };
 }
 
-function undoLastAction() {
-    if (actionHistory.length === 0) return;
+const ProfileManager = {
+    list() {
+        const profiles = safeLocalStorageGet('profiles_index', []);
+        if (!profiles.some(profile => profile.id === DEFAULT_PROFILE_ID)) {
+            profiles.unshift(createProfileRecord(DEFAULT_PROFILE_ID, 'Default'));
+        }
+        return profiles;
+    },
+    
+    saveList(profiles) {
+        safeLocalStorageSet('profiles_index', profiles);
+    },
+    
+    getActiveId() {
+        const id = StorageEngine.getItem('active_profile');
+        return this.list().some(profile => profile.id === id) ? id : DEFAULT_PROFILE_ID;
+    },
+    
+    getActive() {
+        const activeId = this.getActiveId();
+        return this.list().find(profile => profile.id === activeId);
+    },
+    
+    namespaceFor(id) {
+        return id === DEFAULT_PROFILE_ID ? '' : `profile_${id}:`;
+    },
+    
+    init() {
+        StorageEngine.setNamespace(this.namespaceFor(this.getActiveId()));
+    },
+    
+    create(name) {
+        const profiles = this.list();
+        const profile = createProfileRecord(Date.now().toString(36), name);
+        profiles.push(profile);
+        this.saveList(profiles);
+        return profile;
+    },
+    
+    update(id, changes) {
+        const profiles = this.list().map(profile => profile.id === id ? { ...profile, ...changes } : profile);
+        this.saveList(profiles);
+    },
+    
+    remove(id) {
+        if (id === DEFAULT_PROFILE_ID) {
+            throw new Error('The default profile cannot be deleted.');
+        }
+        StorageEngine.clearNamespace(this.namespaceFor(id));
+        this.saveList(this.list().filter(profile => profile.id !== id));
+        if (StorageEngine.getItem('active_profile') === id) {
+            StorageEngine.setItem('active_profile', DEFAULT_PROFILE_ID);
+        }
+    },
     
-    const action = actionHistory.pop();
-    action.undo();
+    switchTo(id) {
+        StorageEngine.setItem('active_profile', id);
+        StorageEngine.flush().then(() => location.reload());
+    }
+};
+
+// File names for backups and exports carry the profile so coaches can tell them apart
+function getExportFilePrefix() {
+    const profile = ProfileManager.getActive();
+    if (profile.id === DEFAULT_PROFILE_ID) return 'hollywood_mastery';
     
-    showUndoToast(`Undid: ${action.description}`, false);
+    const slug = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    return `hollywood_mastery_${slug || profile.id}`;
 }
 
-function showUndoToast(message, showUndo = true) {
-    const toast = document.getElementById('undo-toast');
-    const messageEl = document.getElementById('undo-message');
-    const undoBtn = document.getElementById('undo-action');
+function loadProfileBar() {
+    const active = ProfileManager.getActive();
+    const select = document.getElementById('profile-select');
     
-    messageEl.textContent = message;
-    undoBtn.style.display = showUndo ? 'block' : 'none';
+    select.innerHTML = '';
+    ProfileManager.list().forEach(profile => {
+        select.appendChild(new Option(profile.name, profile.id, false, profile.id === active.id));
+    });
     
-    toast.classList.add('active');
+    document.getElementById('profile-headline').textContent = active.headline || 'Set your Definite Chief Aim';
+    document.getElementById('profile-subtitle').textContent = active.subtitle || 'Tap ✏️ to add a headline for this profile';
+    document.getElementById('delete-profile-btn').disabled = active.id === DEFAULT_PROFILE_ID;
+}
+
+function switchProfile(id) {
+    if (id === ProfileManager.getActiveId()) return;
+    ProfileManager.switchTo(id);
+}
+
+function createProfile() {
+    const name = prompt('Name for the new profile:');
+    if (!name || !name.trim()) return;
     
-    setTimeout(() => {
-        toast.classList.remove('active');
-    }, 3000);
+    const profile = ProfileManager.create(name.trim());
+    alert(`✅ Profile "${profile.name}" created. Switching to it now.`);
+    ProfileManager.switchTo(profile.id);
 }
 
-// Action classes for undo system
-class TaskAction {
-    constructor(taskId, type, data) {
-        this.taskId = taskId;
-        this.type = type; // 'add', 'delete', 'toggle'
-        this.data = data;
-        this.description = this.getDescription();
+function editProfile() {
+    const active = ProfileManager.getActive();
+    const name = prompt('Profile name:', active.name);
+    if (name === null) return;
+    const headline = prompt('Header headline (your aim in one line):', active.headline);
+    if (headline === null) return;
+    const subtitle = prompt('Header subtitle:', active.subtitle);
+    if (subtitle === null) return;
+    
+    ProfileManager.update(active.id, {
+        name: name.trim() || active.name,
+        headline: headline.trim(),
+        subtitle: subtitle.trim()
+    });
+    loadProfileBar();
+}
+
+function deleteProfile() {
+    const active = ProfileManager.getActive();
+    if (active.id === DEFAULT_PROFILE_ID) return;
+    
+    if (!confirm(`🚨 Delete profile "${active.name}"?\n\nAll of its data on this device will be erased. Back it up first if you need it.\n\nThis action cannot be undone.`)) {
+        return;
     }
     
-    getDescription() {
-        switch(this.type) {
-            case 'add': return 'Added task';
-            case 'delete': return 'Deleted task';
-            case 'toggle': return 'Toggled task';
-            default: return 'Modified task';
+    ProfileManager.remove(active.id);
+    ProfileManager.switchTo(DEFAULT_PROFILE_ID);
+}
+
+// ENHANCED: Day Record Schema & Migrations
+// Every stored day record carries a schemaVersion. Migrations run in order,
+// each upgrading a record from (version - 1) to version, so a record from any
+// past release can be brought forward one step at a time.
+const DAY_SCHEMA_VERSION = 3;
+const BACKUP_FORMAT_VERSION = '2.2';
+
+// Backup format -> day schema it was written with ('2.0' predates schemaVersion)
+const SUPPORTED_BACKUP_VERSIONS = {
+    '2.0': 0,
+    '2.1': null, // schemaVersion is recorded in the backup metadata
+    '2.2': null // adds the manifest with per-family counts and checksum
+};
+
+const DAY_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Baseline structure: domains, tasks and alignment flag',
+        migrate(day) {
+            if (!day.domains || typeof day.domains !== 'object') day.domains = {};
+            if (!Array.isArray(day.tasks)) day.tasks = [];
+            if (typeof day.alignment !== 'boolean') day.alignment = !!day.alignment;
+            return day;
+        }
+    },
+    {
+        version: 2,
+        description: 'Activity ids and source, normalized task fields, record timestamp',
+        migrate(day) {
+            const timestamps = [];
+            
+            Object.keys(day.domains).forEach(domain => {
+                const bucket = day.domains[domain] || {};
+                const activities = Array.isArray(bucket.activities) ? bucket.activities : [];
+                
+                activities.forEach((activity, index) => {
+                    if (!activity.id) activity.id = (Date.parse(activity.timestamp) || 1) + index;
+                    if (!activity.source) activity.source = activity.quick ? 'quick' : 'detailed';
+                    delete activity.quick;
+                    activity.xp = Number(activity.xp) || 0;
+                    if (activity.timestamp) timestamps.push(activity.timestamp);
+                });
+                
+                day.domains[domain] = { total: Number(bucket.total) || 0, activities };
+            });
+            
+            day.tasks.forEach((task, index) => {
+                if (!task.id) task.id = (Date.parse(task.timestamp) || 1) + index;
+                task.xp = Number(task.xp) || 0;
+                task.completed = !!task.completed;
+                if (task.timestamp) timestamps.push(task.timestamp);
+                if (task.updated) timestamps.push(task.updated);
+            });
+            
+            if (day.alignmentTime) timestamps.push(day.alignmentTime);
+            if (!day.updatedAt && timestamps.length > 0) {
+                day.updatedAt = timestamps.sort()[timestamps.length - 1];
+            }
+            return day;
+        }
+    },
+    {
+        version: 3,
+        description: 'Deletion tombstones so removed tasks and activities stay removed across devices',
+        migrate(day) {
+            if (!day.tombstones) day.tombstones = {};
+            if (!day.tombstones.tasks) day.tombstones.tasks = {};
+            if (!day.tombstones.activities) day.tombstones.activities = {};
+            return day;
         }
     }
+];
+
+function getDaySchemaVersion(day) {
+    return Number.isInteger(day.schemaVersion) ? day.schemaVersion : 0;
+}
+
+function isNewerDayRecord(day) {
+    return getDaySchemaVersion(day) > DAY_SCHEMA_VERSION;
+}
+
+// A day saved by a newer release (e.g. arriving through sync) is read-only
+// here: saving it would drop whatever this version does not understand
+function isReadOnlyDay(key) {
+    try {
+        const stored = JSON.parse(StorageEngine.getItem(key));
+        return !!stored && isNewerDayRecord(stored);
+    } catch (error) {
+        return false;
+    }
+}
+
+const readOnlyDayWarnings = new Set();
+
+function warnReadOnlyDay(key) {
+    console.error(`Refused to save ${key}: it was written by a newer version of the app`);
+    if (readOnlyDayWarnings.has(key)) return;
+    readOnlyDayWarnings.add(key);
+    alert(`⚠️ ${key.replace('mastery_', '')} was saved by a newer version of the app and is read-only here. Update the app to change it.`);
+}
+
+function migrateDayRecord(day) {
+    const fromVersion = getDaySchemaVersion(day);
+    if (fromVersion > DAY_SCHEMA_VERSION) {
+        throw new Error(`Day record schema v${fromVersion} is newer than supported v${DAY_SCHEMA_VERSION}`);
+    }
     
-    execute() {
-        // This is where the action would normally happen
-        // We'll integrate this with existing functions
+    DAY_MIGRATIONS
+        .filter(step => step.version > fromVersion)
+        .forEach(step => {
+            day = step.migrate(day);
+            day.schemaVersion = step.version;
+        });
+    
+    return day;
+}
+
+// Stamp version and, when the content actually changed, the modification time
+function stampDayRecord(key, day) {
+    day.schemaVersion = DAY_SCHEMA_VERSION;
+    
+    const { updatedAt: previousUpdatedAt, ...content } = day;
+    const stored = StorageEngine.getItem(key);
+    let unchanged = false;
+    if (stored) {
+        try {
+            const { updatedAt, ...storedContent } = JSON.parse(stored);
+            unchanged = JSON.stringify(storedContent) === JSON.stringify(content);
+        } catch (error) {
+            unchanged = false;
+        }
     }
     
-    undo() {
-        // Implementation would restore previous state
-        // Integrated with existing task functions
+    if (!unchanged || !previousUpdatedAt) {
+        day.updatedAt = new Date().toISOString();
     }
+    return day;
 }
 
-// ENHANCED: Debounced functions for performance
-function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-        const later = () => {
-            clearTimeout(timeout);
-            func.apply(this, args);
-        };
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-    };
+// Upgrade every stored day record that is behind the current schema
+function runDayMigrations() {
+    let upgraded = 0;
+    
+    StorageEngine.keys('mastery_').forEach(key => {
+        if (!isDayRecordKey(key)) return;
+        
+        try {
+            const day = JSON.parse(StorageEngine.getItem(key));
+            if (getDaySchemaVersion(day) >= DAY_SCHEMA_VERSION) return;
+            StorageEngine.setItem(key, JSON.stringify(migrateDayRecord(day)));
+            upgraded++;
+        } catch (error) {
+            console.error(`Migration failed for ${key}:`, error);
+        }
+    });
+    return upgraded;
 }
 
-// Apply debouncing to rapid-fire functions
-const debouncedAddQuickDomainXP = debounce((domain, amount) => {
-    addQuickDomainXP(domain, amount);
-}, 300);
-
-// ENHANCED: Momentum Score Algorithm
-function calculateMomentumScore() {
-    const last7Days = getLast7DaysData();
-    if (last7Days.length === 0) return { score: 0, trend: 'starting', recommendation: 'Begin your journey with consistent daily effort.' };
-    
-    // Factors weighted by importance
-    const factors = {
-        consistency: calculateConsistencyScore(last7Days),
-        growth: calculateGrowthScore(last7Days),
-        balance: calculateBalanceScore(last7Days),
-        intensity: calculateIntensityScore(last7Days)
-    };
+// Bring the day records inside a backup up to the current schema before restoring
+function migrateBackupRecords(backup) {
+    const metadata = backup._metadata;
+    if (!(metadata.version in SUPPORTED_BACKUP_VERSIONS)) {
+        throw new Error(`Unsupported backup format version ${metadata.version}`);
+    }
     
-    // Weighted average
-    const score = Math.round(
-        (factors.consistency * 0.4) +
-        (factors.growth * 0.3) +
-        (factors.balance * 0.2) +
-        (factors.intensity * 0.1)
-    );
+    const knownVersion = SUPPORTED_BACKUP_VERSIONS[metadata.version];
+    const schemaVersion = knownVersion !== null ? knownVersion : metadata.schemaVersion;
+    if (schemaVersion > DAY_SCHEMA_VERSION) {
+        throw new Error('This backup was created by a newer version of the app. Please update before restoring.');
+    }
     
-    // Determine trend
-    const trend = getMomentumTrend(last7Days, score);
-    const recommendation = generateMomentumRecommendation(score, trend, factors);
+    Object.keys(backup).forEach(key => {
+        if (!isDayRecordKey(key)) return;
+        const day = JSON.parse(backup[key]);
+        if (!Number.isInteger(day.schemaVersion)) day.schemaVersion = schemaVersion;
+        backup[key] = JSON.stringify(migrateDayRecord(day));
+    });
     
-    return { score, trend, recommendation, factors };
+    return backup;
 }
 
-function calculateConsistencyScore(days) {
-    const completedDays = days.filter(day => day.totalXP >= 160).length;
-    return (completedDays / 7) * 100;
+// Total XP a day record is worth, for records not (yet) in the XP ledger
+// such as the two sides of a restore conflict
+function calculateDayXP(day) {
+    const entries = getDayXPEntries(day);
+    return Object.keys(entries).reduce((sum, ref) => sum + entries[ref].xp, 0);
 }
 
-function calculateGrowthScore(days) {
-    if (days.length < 2) return 50;
-    
-    const recent = days.slice(0, 3); // Last 3 days
-    const older = days.slice(3); // Previous days
-    
-    const recentAvg = recent.reduce((sum, day) => sum + day.totalXP, 0) / recent.length;
-    const olderAvg = older.reduce((sum, day) => sum + day.totalXP, 0) / older.length;
+// ENHANCED: History Archival & Compaction
+// Days older than ARCHIVE_AFTER_MONTHS are rolled into one record per month
+// (mastery_archive_YYYY-MM). Each archive keeps a monthly summary plus a
+// compact row per day with the task and activity detail exports rely on.
+const ARCHIVE_AFTER_MONTHS = 3;
+const ARCHIVE_FORMAT_VERSION = 1;
+const ARCHIVE_KEY_PATTERN = /^mastery_archive_\d{4}-\d{2}$/;
+
+function getArchiveKey(month) {
+    return `mastery_archive_${month}`;
+}
+
+function compactDayRecord(day, streakValid) {
+    const domains = {};
+    const activities = [];
+    const xp = calculateDayXP(day);
+    
+    Object.keys(day.domains || {}).forEach(domain => {
+        const bucket = day.domains[domain];
+        domains[domain] = bucket.total || 0;
+        (bucket.activities || []).forEach(activity => {
+            activities.push([domain, activity.category, activity.xp]);
+        });
+    });
     
-    if (olderAvg === 0) return recentAvg > 0 ? 100 : 0;
+    // Partly done tasks keep the XP their ticked subtasks earned as a fifth element
+    const tasks = (day.tasks || []).map(task => {
+        const earned = getTaskEarnedXP(task);
+        const row = [task.text, task.category, task.xp, task.completed ? 1 : 0];
+        return !task.completed && earned > 0 ? [...row, earned] : row;
+    });
     
-    const growth = ((recentAvg - olderAvg) / olderAvg) * 100;
-    return Math.min(Math.max(growth + 50, 0), 100); // Normalize to 0-100
+    return {
+        xp,
+        domains,
+        tasks,
+        activities,
+        alignment: !!day.alignment,
+        alignmentReason: day.alignmentReason || '',
+        streakValid
+    };
 }
 
-function calculateBalanceScore(days) {
-    // Check if all domains are being developed
-    const domainAverages = {};
-    Object.keys(DOMAINS).forEach(domain => {
-        const domainTotal = days.reduce((sum, day) => sum + (day.domains[domain] || 0), 0);
-        domainAverages[domain] = domainTotal / days.length;
+function expandArchivedDay(row) {
+    const domains = {};
+    Object.keys(row.domains).forEach(domain => {
+        domains[domain] = { total: row.domains[domain], activities: [] };
+    });
+    row.activities.forEach(([domain, category, xp]) => {
+        if (!domains[domain]) domains[domain] = { total: 0, activities: [] };
+        domains[domain].activities.push({ category, xp });
     });
     
-    const min = Math.min(...Object.values(domainAverages));
-    const max = Math.max(...Object.values(domainAverages));
+    return {
+        domains,
+        tasks: row.tasks.map(([text, category, xp, completed, earned], index) => ({
+            id: index + 1,
+            text,
+            category,
+            xp,
+            completed: completed === 1,
+            ...(earned ? { earnedXP: earned } : {})
+        })),
+        alignment: row.alignment,
+        alignmentReason: row.alignmentReason,
+        totalXP: row.xp,
+        archived: true
+    };
+}
+
+function summarizeArchiveMonth(days) {
+    const summary = {
+        days: 0,
+        totalXP: 0,
+        domains: {},
+        tasks: { total: 0, completed: 0, scary: 0, critical: 0 },
+        alignedDays: 0,
+        streakDays: 0
+    };
     
-    if (max === 0) return 0;
-    return (min / max) * 100;
+    Object.keys(days).forEach(date => {
+        const row = days[date];
+        summary.days++;
+        summary.totalXP += row.xp;
+        Object.keys(row.domains).forEach(domain => {
+            summary.domains[domain] = (summary.domains[domain] || 0) + row.domains[domain];
+        });
+        row.tasks.forEach(([, category, , completed]) => {
+            summary.tasks.total++;
+            if (completed) summary.tasks.completed++;
+            if (category === 'scary') summary.tasks.scary++;
+            if (category === 'critical') summary.tasks.critical++;
+        });
+        if (row.alignment) summary.alignedDays++;
+        if (row.streakValid) summary.streakDays++;
+    });
+    
+    return summary;
 }
 
-function calculateIntensityScore(days) {
-    const intensityDays = days.filter(day => day.totalXP >= 200).length;
-    return (intensityDays / 7) * 100;
+// Live days older than the cutoff, grouped by month
+function getArchivableDays(months = ARCHIVE_AFTER_MONTHS) {
+    const cutoffDate = DateService.addMonths(getToday(), -months);
+    
+    const byMonth = {};
+    StorageEngine.keys('mastery_').forEach(key => {
+        if (!isDayRecordKey(key)) return;
+        const date = key.replace('mastery_', '');
+        if (date >= cutoffDate) return;
+        const month = date.slice(0, 7);
+        (byMonth[month] = byMonth[month] || []).push(date);
+    });
+    return byMonth;
 }
 
-function getMomentumTrend(days, currentScore) {
-    if (days.length < 4) return 'starting';
+function archiveOldDays(months = ARCHIVE_AFTER_MONTHS) {
+    const byMonth = getArchivableDays(months);
     
-    const recentScore = calculateMomentumScoreForPeriod(days.slice(0, 3));
-    const previousScore = calculateMomentumScoreForPeriod(days.slice(3, 6));
+    let archived = 0;
+    Object.keys(byMonth).forEach(month => {
+        const archive = safeLocalStorageGet(getArchiveKey(month), null) || { month, days: {} };
+        
+        byMonth[month].forEach(date => {
+            archive.days[date] = compactDayRecord(safeLocalStorageGet(`mastery_${date}`, {}), evaluateStreakDay(date).status === 'met');
+        });
+        archive.archiveVersion = ARCHIVE_FORMAT_VERSION;
+        archive.summary = summarizeArchiveMonth(archive.days);
+        archive.compactedAt = new Date().toISOString();
+        
+        // Write the archive before dropping raw days so nothing is lost mid-way
+        StorageEngine.setItem(getArchiveKey(month), JSON.stringify(archive));
+        byMonth[month].forEach(date => {
+            StorageEngine.removeItem(`mastery_${date}`);
+            archived++;
+        });
+    });
     
-    if (currentScore > recentScore + 10) return 'accelerating';
-    if (currentScore > recentScore + 5) return 'growing';
-    if (currentScore >= recentScore - 5) return 'steady';
-    return 'declining';
+    return archived;
 }
 
-function calculateMomentumScoreForPeriod(periodDays) {
-    if (periodDays.length === 0) return 0;
-    return periodDays.reduce((sum, day) => sum + day.totalXP, 0) / periodDays.length;
+function getArchives() {
+    return StorageEngine.keys('mastery_archive_')
+        .filter(key => ARCHIVE_KEY_PATTERN.test(key))
+        .sort()
+        .map(key => safeLocalStorageGet(key, null))
+        .filter(Boolean);
 }
 
-function generateMomentumRecommendation(score, trend, factors) {
-    if (score >= 90) {
-        return 'Elite momentum! Maintain this intensity and focus on breakthrough opportunities.';
-    } else if (score >= 75) {
-        return 'Strong momentum! Increase intensity slightly for breakthrough acceleration.';
-    } else if (score >= 60) {
-        if (factors.consistency < 80) {
-            return 'Good progress! Focus on daily consistency to build unstoppable momentum.';
-        } else if (factors.growth < 60) {
-            return 'Consistent but stagnant. Add 10% more intensity to each domain.';
-        } else {
-            return 'Solid foundation! Now push one domain to mastery level each day.';
+// Live day record, or its archived rollup once the day has been compacted
+function getDayRecord(date) {
+    const live = StorageEngine.getItem(`mastery_${date}`);
+    if (live) return safeLocalStorageGet(`mastery_${date}`, {});
+    
+    const archive = safeLocalStorageGet(getArchiveKey(date.slice(0, 7)), null);
+    if (archive && archive.days[date]) {
+        return expandArchivedDay(archive.days[date]);
+    }
+    return {};
+}
+
+// Live and archived day records between two dates (inclusive), oldest first
+function getDayRecordsInRange(startDate, endDate) {
+    const days = StorageEngine.getDayRange(startDate, endDate);
+    const liveDates = new Set(days.map(day => day.date));
+    
+    getArchives().forEach(archive => {
+        Object.keys(archive.days).forEach(date => {
+            if (date >= startDate && date <= endDate && !liveDates.has(date)) {
+                days.push({ date, data: expandArchivedDay(archive.days[date]) });
+            }
+        });
+    });
+    
+    return days.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function compactHistoryNow() {
+    const dates = Object.values(getArchivableDays()).flat().sort();
+    if (dates.length === 0) {
+        alert(`No days older than ${ARCHIVE_AFTER_MONTHS} months to compact.`);
+        return;
+    }
+    
+    if (!confirm(`🗄️ COMPACT HISTORY?\n\n${dates.length} days older than ${ARCHIVE_AFTER_MONTHS} months will be rolled into monthly archives. Totals, tasks and alignment are kept; per-entry timestamps are dropped.\n\nTheir full records are downloaded first so nothing is lost.`)) {
+        return;
+    }
+    
+    // Archives only keep summaries; the raw days leave the device as a file
+    const days = {};
+    dates.forEach(date => (days[date] = safeLocalStorageGet(`mastery_${date}`, {})));
+    downloadJSON({ exportedAt: new Date().toISOString(), days }, `${getExportFilePrefix()}_days_${dates[0]}_to_${dates[dates.length - 1]}.json`);
+    
+    const archived = archiveOldDays();
+    loadArchiveStatus();
+    alert(`✅ ${archived} days compacted into monthly archives.`);
+}
+
+function exportArchivedHistory() {
+    const archives = getArchives();
+    if (archives.length === 0) {
+        alert('No archived history yet.');
+        return;
+    }
+    
+    const dataStr = JSON.stringify({ archiveVersion: ARCHIVE_FORMAT_VERSION, archives }, null, 2);
+    const dataBlob = new Blob([dataStr], {type: 'application/json'});
+    const url = URL.createObjectURL(dataBlob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${getExportFilePrefix()}_archive_${archives[0].month}_to_${archives[archives.length - 1].month}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+function loadArchiveStatus() {
+    const archives = getArchives();
+    const days = archives.reduce((sum, archive) => sum + archive.summary.days, 0);
+    const statusEl = document.getElementById('archive-status');
+    
+    statusEl.textContent = archives.length === 0
+        ? 'No archived months'
+        : `${archives.length} months archived (${days} days, ${archives[0].month} – ${archives[archives.length - 1].month})`;
+}
+
+// ENHANCED: XP Ledger
+// Append-only log of every XP change, one file per month of the day the XP
+// counts for (xp_ledger_YYYY-MM). Day records stay the editable state; each
+// write of a day record is diffed against the ledger's running balance for
+// that day and the difference appended as earn/revoke events. Undo, sync and
+// restore therefore all land in the ledger, and every XP figure on screen or
+// in an export reads from XPLedger instead of re-adding day records.
+//
+// Event: { type: 'earn'|'revoke', date, ref, source, domain, category, xp, timestamp }
+// ref identifies what earned the XP (task:<id>, activity:<domain>:<id>); xp is
+// always positive, revoke events subtract it.
+const XP_LEDGER_KEY_PATTERN = /^xp_ledger_(\d{4}-\d{2})$/;
+
+function getLedgerKey(month) {
+    return `xp_ledger_${month}`;
+}
+
+// XP a day record is worth, keyed by ref. Completed tasks (and ticked
+// subtasks of open ones) count toward the domain of their category; scary and critical tasks only count toward the total.
+function getDayXPEntries(day) {
+    const entries = {};
+    
+    (day.tasks || []).forEach(task => {
+        entries[`task:${task.id}`] = {
+            source: 'task',
+            domain: getCategoryInfo(task.category).domain,
+            category: task.category,
+            xp: getTaskEarnedXP(task)
+        };
+    });
+    
+    Object.keys(day.domains || {}).forEach(domain => {
+        const bucket = day.domains[domain];
+        let activityXP = 0;
+        (bucket.activities || []).forEach(activity => {
+            activityXP += activity.xp;
+            entries[`activity:${domain}:${activity.id}`] = {
+                source: 'activity',
+                domain,
+                category: activity.category,
+                xp: activity.xp
+            };
+        });
+        // Records from early releases kept a domain total without its activities
+        if ((bucket.total || 0) !== activityXP) {
+            entries[`domain:${domain}`] = { source: 'activity', domain, category: null, xp: (bucket.total || 0) - activityXP };
         }
-    } else if (score >= 40) {
-        return 'Building foundation. Focus on hitting daily minimums consistently.';
-    } else {
-        return 'Initial phase. Start with one domain at a time and build consistency.';
+    });
+    
+    return entries;
+}
+
+// Same entries for a compacted archive row, whose items carry no ids
+function getArchivedDayXPEntries(row) {
+    const entries = {};
+    
+    row.tasks.forEach(([, category, xp, completed, earned = 0], index) => {
+        entries[`archive:task:${index}`] = { source: 'task', domain: getCategoryInfo(category).domain, category, xp: completed ? xp : earned };
+    });
+    
+    const activityXP = {};
+    row.activities.forEach(([domain, category, xp], index) => {
+        activityXP[domain] = (activityXP[domain] || 0) + xp;
+        entries[`archive:activity:${index}`] = { source: 'activity', domain, category, xp };
+    });
+    Object.keys(row.domains).forEach(domain => {
+        const missing = row.domains[domain] - (activityXP[domain] || 0);
+        if (missing !== 0) {
+            entries[`domain:${domain}`] = { source: 'activity', domain, category: null, xp: missing };
+        }
+    });
+    
+    return entries;
+}
+
+function createXPSummary() {
+    return { total: 0, domains: {}, categories: {}, sources: { task: 0, activity: 0 } };
+}
+
+function addToXPSummary(summary, event) {
+    const xp = event.type === 'revoke' ? -event.xp : event.xp;
+    summary.total += xp;
+    summary.domains[event.domain] = (summary.domains[event.domain] || 0) + xp;
+    if (event.category) {
+        summary.categories[event.category] = (summary.categories[event.category] || 0) + xp;
     }
+    summary.sources[event.source] += xp;
 }
 
-function getLast7DaysData() {
-    const days = [];
-    const today = new Date();
+const XPLedger = {
+    // month -> { events, byDate }, dropped whenever the stored month changes
+    months: new Map(),
+    
+    init() {
+        StorageEngine.onChange((key, value, remote) => this.handleStorageChange(key, value, remote));
+        this.reconcile();
+    },
+    
+    handleStorageChange(key, value, remote) {
+        const ledgerMatch = key.match(XP_LEDGER_KEY_PATTERN);
+        if (ledgerMatch) {
+            this.months.delete(ledgerMatch[1]);
+            return;
+        }
+        // Removed day records (archived or replaced by a restore) keep their XP
+        // history; another tab's writes are recorded by that tab
+        if (value === null || remote) return;
+        
+        try {
+            if (isDayRecordKey(key)) {
+                this.recordDay(key.replace('mastery_', ''), migrateDayRecord(JSON.parse(value)));
+            } else if (ARCHIVE_KEY_PATTERN.test(key)) {
+                this.recordArchive(JSON.parse(value));
+            }
+        } catch (error) {
+            console.error(`XP ledger could not record ${key}:`, error);
+        }
+    },
+    
+    // Brings the ledger in line with every stored day, e.g. after a restore or
+    // on the first launch with a ledger
+    reconcile() {
+        StorageEngine.keys('mastery_').forEach(key => {
+            if (isDayRecordKey(key)) {
+                this.recordDay(key.replace('mastery_', ''), safeLocalStorageGet(key, {}));
+            }
+        });
+        getArchives().forEach(archive => this.recordArchive(archive));
+    },
+    
+    // Restores replace day records and archives wholesale, so their ledger is
+    // regenerated from what was restored instead of merged event by event
+    rebuild() {
+        StorageEngine.keys('xp_ledger_').forEach(key => StorageEngine.removeItem(key));
+        this.months.clear();
+        this.reconcile();
+    },
+    
+    getMonth(month) {
+        if (!this.months.has(month)) {
+            const events = safeLocalStorageGet(getLedgerKey(month), []);
+            const byDate = {};
+            events.forEach(event => (byDate[event.date] = byDate[event.date] || []).push(event));
+            this.months.set(month, { events, byDate });
+        }
+        return this.months.get(month);
+    },
     
-    for (let i = 0; i < 7; i++) {
-        const date = new Date(today);
-        date.setDate(today.getDate() - i);
-        const dateString = date.toISOString().split('T')[0];
-        const data = safeLocalStorageGet(`mastery_${dateString}`, {});
+    getDayEvents(date) {
+        return this.getMonth(date.slice(0, 7)).byDate[date] || [];
+    },
+    
+    append(events) {
+        if (events.length === 0) return;
         
-        let totalXP = 0;
-        const domains = {};
+        const byMonth = {};
+        events.forEach(event => (byMonth[event.date.slice(0, 7)] = byMonth[event.date.slice(0, 7)] || []).push(event));
+        Object.keys(byMonth).forEach(month => {
+            const stored = this.getMonth(month).events.concat(byMonth[month]);
+            StorageEngine.setItem(getLedgerKey(month), JSON.stringify(stored));
+        });
+    },
+    
+    // Net XP per ref for a day, as the ledger currently sees it
+    getBalances(date) {
+        const balances = {};
+        this.getDayEvents(date).forEach(event => {
+            const balance = balances[event.ref] || { xp: 0 };
+            balance.xp += event.type === 'revoke' ? -event.xp : event.xp;
+            balance.domain = event.domain;
+            balance.category = event.category;
+            balances[event.ref] = balance;
+        });
+        return balances;
+    },
+    
+    applyEntries(date, entries) {
+        const balances = this.getBalances(date);
+        const timestamp = new Date().toISOString();
+        const events = [];
+        const push = (type, ref, entry, xp) => {
+            events.push({ type, date, ref, source: entry.source || 'activity', domain: entry.domain, category: entry.category, xp, timestamp });
+        };
+        
+        Object.keys({ ...balances, ...entries }).forEach(ref => {
+            const balance = balances[ref] || { xp: 0 };
+            const entry = entries[ref] || { ...balance, xp: 0 };
+            const moved = balance.xp !== 0 && (balance.domain !== entry.domain || balance.category !== entry.category);
+            
+            // A recategorised item moves all of its XP rather than just the difference
+            if (moved) {
+                push('revoke', ref, { ...balance, source: entry.source }, balance.xp);
+                if (entry.xp !== 0) push('earn', ref, entry, entry.xp);
+                return;
+            }
+            
+            const delta = entry.xp - balance.xp;
+            if (delta > 0) push('earn', ref, entry, delta);
+            if (delta < 0) push('revoke', ref, entry, -delta);
+        });
         
-        // Calculate XP from domains
-        Object.keys(DOMAINS).forEach(domain => {
-            domains[domain] = data.domains?.[domain]?.total || 0;
-            totalXP += domains[domain];
+        this.append(events);
+    },
+    
+    recordDay(date, day) {
+        this.applyEntries(date, getDayXPEntries(day));
+    },
+    
+    // Archived days are only seeded when the ledger has never seen them
+    // (older installs, restores); their live history is already recorded
+    recordArchive(archive) {
+        Object.keys(archive.days).forEach(date => {
+            if (this.getDayEvents(date).length > 0 || StorageEngine.getItem(`mastery_${date}`)) return;
+            this.applyEntries(date, getArchivedDayXPEntries(archive.days[date]));
         });
+    },
+    
+    // Query API
+    getDaySummary(date) {
+        const summary = createXPSummary();
+        this.getDayEvents(date).forEach(event => addToXPSummary(summary, event));
+        return summary;
+    },
+    
+    getDayXP(date) {
+        return this.getDaySummary(date).total;
+    },
+    
+    getDomainXP(date, domain) {
+        return this.getDaySummary(date).domains[domain] || 0;
+    },
+    
+    // Totals plus a per-day breakdown for an inclusive YYYY-MM-DD range
+    getRangeSummary(startDate, endDate) {
+        const summary = { ...createXPSummary(), days: {} };
         
-        // Calculate XP from tasks
-        if (data.tasks) {
-            data.tasks.forEach(task => {
-                if (task.completed) totalXP += task.xp;
+        for (let month = startDate.slice(0, 7); month <= endDate.slice(0, 7); month = DateService.addMonths(`${month}-01`, 1).slice(0, 7)) {
+            const { byDate } = this.getMonth(month);
+            Object.keys(byDate).filter(date => date >= startDate && date <= endDate).forEach(date => {
+                summary.days[date] = this.getDaySummary(date);
+                byDate[date].forEach(event => addToXPSummary(summary, event));
             });
         }
         
-        days.push({
-            date: dateString,
-            totalXP,
-            domains,
-            alignment: data.alignment || false
-        });
+        return summary;
+    },
+    
+    getCategoryXP(startDate, endDate, category) {
+        return this.getRangeSummary(startDate, endDate).categories[category] || 0;
+    }
+};
+
+// ENHANCED: Undo System
+// Every mutation runs as a command object with execute() and undo(). Undone
+// commands move to the redo stack; a new command clears it. Both stacks are
+// persisted per day so Cmd+Z keeps working after a reload.
+const actionHistory = [];
+const redoHistory = [];
+const MAX_HISTORY = 50;
+let undoToastTimer = null;
+
+function getActionHistoryKey(date) {
+    return `action_history_${date}`;
+}
+
+function executeAction(action) {
+    action.execute();
+    AuditLog.record(action, 'do');
+    actionHistory.push(action);
+    redoHistory.length = 0;
+    
+    // Keep history manageable
+    if (actionHistory.length > MAX_HISTORY) {
+        actionHistory.shift();
     }
     
-    return days;
+    saveActionHistory();
+    refreshAfterAction();
+    showUndoToast(action.description);
 }
 
-function updateMomentumDisplay() {
-    const momentum = calculateMomentumScore();
-    const display = document.getElementById('momentum-display');
-    const scoreEl = document.getElementById('momentum-score');
-    const trendEl = document.getElementById('momentum-trend');
-    const recommendationEl = document.getElementById('momentum-recommendation');
+function undoLastAction() {
+    if (actionHistory.length === 0) {
+        showUndoToast('Nothing to undo', false);
+        return;
+    }
     
-    scoreEl.textContent = momentum.score;
-    trendEl.textContent = `Momentum: ${momentum.trend}`;
-    recommendationEl.textContent = momentum.recommendation;
+    const action = actionHistory.pop();
+    action.undo();
+    AuditLog.record(action, 'undo');
+    redoHistory.push(action);
     
-    // Color code based on score
-    if (momentum.score >= 80) {
-        display.style.background = 'linear-gradient(135deg, #34C759, #007AFF)';
-    } else if (momentum.score >= 60) {
-        display.style.background = 'linear-gradient(135deg, #FF9500, #34C759)';
-    } else {
-        display.style.background = 'linear-gradient(135deg, #FF3B30, #FF9500)';
+    saveActionHistory();
+    refreshAfterAction();
+    showUndoToast(`Undid: ${action.description}`, true, 'redo');
+}
+
+function redoLastAction() {
+    if (redoHistory.length === 0) {
+        showUndoToast('Nothing to redo', false);
+        return;
+    }
+    
+    const action = redoHistory.pop();
+    action.execute();
+    AuditLog.record(action, 'redo');
+    actionHistory.push(action);
+    
+    saveActionHistory();
+    refreshAfterAction();
+    showUndoToast(`Redid: ${action.description}`);
+}
+
+function refreshAfterAction() {
+    loadTodayTasks();
+    renderUpcomingTasks();
+    updateDomainProgress();
+    loadStreak();
+    loadMetrics();
+    updateIndustryStats();
+    loadAuditLog();
+    refreshProgressViews();
+}
+
+function saveActionHistory() {
+    StorageEngine.setItem(getActionHistoryKey(getToday()), JSON.stringify({
+        undo: actionHistory.map(action => action.toJSON()),
+        redo: redoHistory.map(action => action.toJSON())
+    }));
+}
+
+function loadActionHistory() {
+    const todayKey = getActionHistoryKey(getToday());
+    
+    // History only survives for the current day
+    StorageEngine.keys('action_history_').forEach(key => {
+        if (key !== todayKey) StorageEngine.removeItem(key);
+    });
+    
+    const saved = safeLocalStorageGet(todayKey, { undo: [], redo: [] });
+    actionHistory.length = 0;
+    redoHistory.length = 0;
+    try {
+        saved.undo.forEach(json => actionHistory.push(actionFromJSON(json)));
+        saved.redo.forEach(json => redoHistory.push(actionFromJSON(json)));
+    } catch (error) {
+        console.error('Discarding unreadable undo history:', error);
+        actionHistory.length = 0;
+        redoHistory.length = 0;
     }
 }
 
-// ENHANCED: Tomorrow Preview System
-function showTomorrowPreview() {
-    const preview = generateTomorrowPreview();
-    const modal = document.getElementById('preview-modal');
+function showUndoToast(message, showButton = true, mode = 'undo') {
+    const toast = document.getElementById('undo-toast');
+    const messageEl = document.getElementById('undo-message');
+    const undoBtn = document.getElementById('undo-action');
     
-    document.getElementById('preview-focus').textContent = preview.focus;
-    document.getElementById('preview-scary-task').textContent = preview.scaryTask;
+    messageEl.textContent = message;
+    undoBtn.style.display = showButton ? 'block' : 'none';
+    undoBtn.textContent = mode === 'redo' ? 'Redo' : 'Undo';
+    undoBtn.onclick = mode === 'redo' ? redoLastAction : undoLastAction;
     
-    const domainsEl = document.getElementById('preview-domains');
-    domainsEl.innerHTML = '';
+    toast.classList.add('active');
     
-    preview.domainPriorities.forEach(domain => {
-        const item = document.createElement('div');
-        item.className = 'preview-item';
-        item.innerHTML = `
-            <div class="preview-item-icon">${domain.icon}</div>
-            <div>${domain.name}: ${domain.recommendation}</div>
-        `;
-        domainsEl.appendChild(item);
+    clearTimeout(undoToastTimer);
+    undoToastTimer = setTimeout(() => {
+        toast.classList.remove('active');
+    }, 3000);
+}
+
+// Deleted task/activity ids with deletion time, consulted by sync merges
+function markTombstone(day, kind, id) {
+    if (!day.tombstones) day.tombstones = { tasks: {}, activities: {} };
+    if (!day.tombstones[kind]) day.tombstones[kind] = {};
+    day.tombstones[kind][id] = new Date().toISOString();
+}
+
+function clearTombstone(day, kind, id) {
+    if (day.tombstones && day.tombstones[kind]) {
+        delete day.tombstones[kind][id];
+    }
+}
+
+// Copies fields onto a record; null marks a field that did not exist before
+function assignFields(target, fields) {
+    Object.keys(fields).forEach(field => {
+        if (fields[field] === null) {
+            delete target[field];
+        } else {
+            target[field] = fields[field];
+        }
     });
+}
+
+// Action classes for undo system
+class TaskAction {
+    constructor(type, date, data) {
+        this.kind = 'task';
+        this.type = type; // 'add', 'delete', 'toggle', 'edit'
+        this.date = date;
+        this.data = data;
+        this.description = this.getDescription();
+    }
     
-    modal.classList.add('active');
+    getDescription() {
+        switch(this.type) {
+            case 'add': return `Added task "${this.data.task.text}"`;
+            case 'delete': return `Deleted task "${this.data.task.text}"`;
+            case 'toggle': return this.data.completed ? 'Completed task' : 'Reopened task';
+            case 'edit': return 'Edited task';
+            default: return 'Modified task';
+        }
+    }
+    
+    getTaskId() {
+        return this.data.task ? this.data.task.id : this.data.taskId;
+    }
+    
+    updateDay(mutate) {
+        const key = `mastery_${this.date}`;
+        const day = safeLocalStorageGet(key, {});
+        if (!day.tasks) day.tasks = [];
+        mutate(day);
+        
+        // Sync merges keep the most recently touched copy of a task
+        const task = day.tasks.find(t => t.id === this.getTaskId());
+        if (task) {
+            task.updated = new Date().toISOString();
+            clearTombstone(day, 'tasks', task.id);
+        } else {
+            markTombstone(day, 'tasks', this.getTaskId());
+        }
+        safeLocalStorageSet(key, day);
+    }
+    
+    execute() {
+        this.updateDay(day => {
+            const task = day.tasks.find(t => t.id === this.getTaskId());
+            
+            switch(this.type) {
+                case 'add':
+                    if (!task) day.tasks.push({ ...this.data.task });
+                    break;
+                case 'delete':
+                    day.tasks = day.tasks.filter(t => t.id !== this.data.task.id);
+                    break;
+                case 'toggle':
+                    if (task) task.completed = this.data.completed;
+                    if (task && this.data.subtasks) task.subtasks = this.data.subtasks.after;
+                    break;
+                case 'edit':
+                    if (task) assignFields(task, this.data.after);
+                    break;
+            }
+        });
+    }
+    
+    undo() {
+        this.updateDay(day => {
+            const task = day.tasks.find(t => t.id === this.getTaskId());
+            
+            switch(this.type) {
+                case 'add':
+                    day.tasks = day.tasks.filter(t => t.id !== this.data.task.id);
+                    break;
+                case 'delete':
+                    if (!task) day.tasks.splice(this.data.index, 0, { ...this.data.task });
+                    break;
+                case 'toggle':
+                    if (task) task.completed = !this.data.completed;
+                    if (task && this.data.subtasks) task.subtasks = this.data.subtasks.before;
+                    break;
+                case 'edit':
+                    if (task) assignFields(task, this.data.before);
+                    break;
+            }
+        });
+    }
+    
+    toJSON() {
+        return { kind: this.kind, type: this.type, date: this.date, data: this.data };
+    }
 }
 
-function closePreviewModal() {
-    document.getElementById('preview-modal').classList.remove('active');
+class DomainXPAction {
+    constructor(date, domain, activity) {
+        this.kind = 'domain-xp';
+        this.date = date;
+        this.domain = domain;
+        this.activity = activity;
+        this.description = activity.source === 'quick'
+            ? `+${activity.xp} ${domain} XP`
+            : `${activity.category} +${activity.xp} XP`;
+    }
+    
+    execute() {
+        const key = `mastery_${this.date}`;
+        const day = safeLocalStorageGet(key, {});
+        if (!day.domains) day.domains = {};
+        if (!day.domains[this.domain]) day.domains[this.domain] = { total: 0, activities: [] };
+        
+        const bucket = day.domains[this.domain];
+        if (!bucket.activities.some(activity => activity.id === this.activity.id)) {
+            bucket.activities.push({ ...this.activity });
+            bucket.total += this.activity.xp;
+        }
+        clearTombstone(day, 'activities', this.activity.id);
+        safeLocalStorageSet(key, day);
+    }
+    
+    undo() {
+        const key = `mastery_${this.date}`;
+        const day = safeLocalStorageGet(key, {});
+        const bucket = day.domains && day.domains[this.domain];
+        if (!bucket) return;
+        
+        const index = bucket.activities.findIndex(activity => activity.id === this.activity.id);
+        if (index !== -1) {
+            bucket.activities.splice(index, 1);
+            bucket.total = Math.max(0, bucket.total - this.activity.xp);
+            markTombstone(day, 'activities', this.activity.id);
+            safeLocalStorageSet(key, day);
+        }
+    }
+    
+    toJSON() {
+        return { kind: this.kind, date: this.date, domain: this.domain, activity: this.activity };
+    }
 }
 
-function generateTomorrowPreview() {
-    const momentum = calculateMomentumScore();
-    const todayData = getLast7DaysData()[0];
-    const weakDomains = findWeakDomains();
+class AlignmentAction {
+    constructor(date, before, after) {
+        this.kind = 'alignment';
+        this.date = date;
+        this.before = before;
+        this.after = after;
+        this.description = 'Saved alignment';
+    }
     
-    let focus = '';
-    let scaryTask = '';
+    apply(fields) {
+        const key = `mastery_${this.date}`;
+        const day = safeLocalStorageGet(key, {});
+        assignFields(day, fields);
+        safeLocalStorageSet(key, day);
+    }
     
-    // Determine focus based on momentum and weak domains
-    if (momentum.score < 60) {
-        focus = 'Foundation Building: Focus on hitting all domain minimums consistently';
-        scaryTask = 'Complete one task in your weakest domain with extra intensity';
-    } else if (momentum.score < 80) {
-        focus = 'Momentum Acceleration: Push one domain beyond target for breakthrough';
-        scaryTask = 'Reach 200+ total XP by adding intensity to strong domains';
-    } else {
-        focus = 'Breakthrough Mode: All domains at 150%+ target, focus on industry outreach';
-        scaryTask = 'Schedule 3 industry follow-ups or new contact attempts';
+    execute() {
+        this.apply(this.after);
     }
     
-    // Domain priorities
-    const domainPriorities = weakDomains.map(domain => ({
-        name: domain.name,
-        icon: domain.icon,
-        recommendation: `Aim for ${domain.target + 10} XP`
-    }));
+    undo() {
+        this.apply(this.before);
+    }
+    
+    toJSON() {
+        return { kind: this.kind, date: this.date, before: this.before, after: this.after };
+    }
+}
+
+// Moves a task to another day when its due date changes. The task leaves a
+// tombstone on the day it left so sync does not bring it back there.
+class TaskMoveAction {
+    constructor(task, fromDate, toDate) {
+        this.kind = 'task-move';
+        this.task = task;
+        this.fromDate = fromDate;
+        this.toDate = toDate;
+        this.description = `Moved task "${task.text}" to ${toDate}`;
+    }
+    
+    move(fromDate, toDate) {
+        const fromKey = `mastery_${fromDate}`;
+        const fromDay = safeLocalStorageGet(fromKey, {});
+        // Take the latest copy so changes made after the move travel back on undo
+        const task = (fromDay.tasks || []).find(t => t.id === this.task.id) || this.task;
+        
+        // The task only leaves its day once the target day has accepted it
+        const toKey = `mastery_${toDate}`;
+        const toDay = safeLocalStorageGet(toKey, {});
+        if (!toDay.tasks) toDay.tasks = [];
+        if (!toDay.tasks.some(t => t.id === this.task.id)) {
+            toDay.tasks.push({ ...task, updated: new Date().toISOString() });
+        }
+        clearTombstone(toDay, 'tasks', this.task.id);
+        if (!safeLocalStorageSet(toKey, toDay)) return;
+        
+        fromDay.tasks = (fromDay.tasks || []).filter(t => t.id !== this.task.id);
+        markTombstone(fromDay, 'tasks', this.task.id);
+        safeLocalStorageSet(fromKey, fromDay);
+    }
+    
+    execute() {
+        this.move(this.fromDate, this.toDate);
+    }
+    
+    undo() {
+        this.move(this.toDate, this.fromDate);
+    }
+    
+    toJSON() {
+        return { kind: this.kind, task: this.task, fromDate: this.fromDate, toDate: this.toDate };
+    }
+}
+
+// Appends one entry to a logged list (metric history, industry interactions)
+// and keeps an optional counter key in step with the list length
+class LogEntryAction {
+    constructor(listKey, entry, description, counterKey = null) {
+        this.kind = 'log-entry';
+        this.listKey = listKey;
+        this.entry = entry;
+        this.description = description;
+        this.counterKey = counterKey;
+    }
+    
+    write(list) {
+        StorageEngine.setItem(this.listKey, JSON.stringify(list));
+        if (this.counterKey) {
+            StorageEngine.setItem(this.counterKey, list.length.toString());
+        }
+    }
+    
+    execute() {
+        const list = safeLocalStorageGet(this.listKey, []);
+        if (!list.some(entry => entry.timestamp === this.entry.timestamp)) {
+            list.push({ ...this.entry });
+        }
+        this.write(list);
+    }
+    
+    undo() {
+        const list = safeLocalStorageGet(this.listKey, []);
+        this.write(list.filter(entry => entry.timestamp !== this.entry.timestamp));
+    }
+    
+    toJSON() {
+        return {
+            kind: this.kind,
+            listKey: this.listKey,
+            entry: this.entry,
+            description: this.description,
+            counterKey: this.counterKey
+        };
+    }
+}
+
+function actionFromJSON(json) {
+    switch (json.kind) {
+        case 'task': return new TaskAction(json.type, json.date, json.data);
+        case 'task-move': return new TaskMoveAction(json.task, json.fromDate, json.toDate);
+        case 'domain-xp': return new DomainXPAction(json.date, json.domain, json.activity);
+        case 'alignment': return new AlignmentAction(json.date, json.before, json.after);
+        case 'log-entry': return new LogEntryAction(json.listKey, json.entry, json.description, json.counterKey);
+        default: throw new Error(`Unknown action kind: ${json.kind}`);
+    }
+}
+
+// ENHANCED: Debounced functions for performance
+function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+        const later = () => {
+            clearTimeout(timeout);
+            func.apply(this, args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+    };
+}
+
+// Apply debouncing to rapid-fire functions
+const debouncedAddQuickDomainXP = debounce((domain, amount) => {
+    addQuickDomainXP(domain, amount);
+}, 300);
+
+// ENHANCED: Momentum Score Algorithm
+// Momentum is scored over 7, 30 and 90-day windows. Every factor is a share
+// of the days in its window (0-100), so scores compare across windows. Each
+// day's scores are kept as a snapshot, and the trend is the slope of the
+// 7-day score across recent snapshots.
+const MOMENTUM_WINDOWS = [7, 30, 90];
+const MOMENTUM_WEIGHTS = { consistency: 0.4, growth: 0.3, balance: 0.2, intensity: 0.1 };
+const MOMENTUM_FACTORS = Object.keys(MOMENTUM_WEIGHTS);
+const MOMENTUM_STRETCH_RATIO = 1.25; // Intensity days beat their target by 25%
+const MOMENTUM_SNAPSHOTS_KEY = 'momentum_snapshots';
+const MOMENTUM_SNAPSHOT_RETENTION_DAYS = 365;
+const MOMENTUM_HISTORY_DAYS = 30;
+const MOMENTUM_TREND_DAYS = 14;
+
+function calculateMomentumScore() {
+    const windows = calculateMomentumWindows(getDaysData(Math.max(...MOMENTUM_WINDOWS)));
+    const { score, factors } = windows[MOMENTUM_WINDOWS[0]];
+    if (!getFirstRecordedDate()) {
+        return { score: 0, trend: 'starting', recommendation: 'Begin your journey with consistent daily effort.', factors, windows };
+    }
+    
+    // Today's snapshot may not be saved yet, so the live scores stand in for it
+    const trend = getMomentumTrend({ ...getMomentumSnapshots(), [getToday()]: windows });
+    const recommendation = generateMomentumRecommendation(score, trend, factors);
+    
+    return { score, trend, recommendation, factors, windows };
+}
+
+// Scores for each window from one newest-first run of days
+function calculateMomentumWindows(days) {
+    const windows = {};
+    MOMENTUM_WINDOWS.forEach(length => {
+        windows[length] = scoreMomentumWindow(days.slice(0, length));
+    });
+    return windows;
+}
+
+// Days before the first record are left out rather than counted as misses
+function scoreMomentumWindow(days) {
+    const firstDate = getFirstRecordedDate();
+    const tracked = firstDate ? days.filter(day => day.date >= firstDate) : [];
+    const factors = {};
+    
+    if (tracked.length === 0) {
+        MOMENTUM_FACTORS.forEach(factor => { factors[factor] = 0; });
+        return { score: 0, factors };
+    }
+    
+    const raw = {
+        consistency: calculateConsistencyScore(tracked),
+        growth: calculateGrowthScore(tracked),
+        balance: calculateBalanceScore(tracked),
+        intensity: calculateIntensityScore(tracked)
+    };
+    MOMENTUM_FACTORS.forEach(factor => { factors[factor] = Math.round(raw[factor]); });
+    
+    // Weighted average
+    const score = Math.round(MOMENTUM_FACTORS.reduce((sum, factor) => sum + raw[factor] * MOMENTUM_WEIGHTS[factor], 0));
+    return { score, factors };
+}
+
+function calculateConsistencyScore(days) {
+    const completedDays = days.filter(day => day.totalXP >= day.target).length;
+    return (completedDays / days.length) * 100;
+}
+
+// Newer half of the window against the older half
+function calculateGrowthScore(days) {
+    if (days.length < 2) return 50;
+    
+    const split = Math.floor(days.length / 2);
+    const recent = days.slice(0, split);
+    const older = days.slice(split);
+    
+    const recentAvg = recent.reduce((sum, day) => sum + day.totalXP, 0) / recent.length;
+    const olderAvg = older.reduce((sum, day) => sum + day.totalXP, 0) / older.length;
+    
+    if (olderAvg === 0) return recentAvg > 0 ? 100 : 0;
+    
+    const growth = ((recentAvg - olderAvg) / olderAvg) * 100;
+    return Math.min(Math.max(growth + 50, 0), 100); // Normalize to 0-100
+}
+
+function calculateBalanceScore(days) {
+    // Check if all domains are being developed, relative to their own targets
+    const domainAverages = {};
+    DomainConfig.getDomains().forEach(domain => {
+        const domainTotal = days.reduce((sum, day) => sum + (day.domains[domain.id] || 0), 0);
+        domainAverages[domain.id] = domainTotal / days.length / domain.target;
+    });
+    
+    const min = Math.min(...Object.values(domainAverages));
+    const max = Math.max(...Object.values(domainAverages));
+    
+    if (max === 0) return 0;
+    return (min / max) * 100;
+}
+
+function calculateIntensityScore(days) {
+    const intensityDays = days.filter(day => day.totalXP >= day.target * MOMENTUM_STRETCH_RATIO).length;
+    return (intensityDays / days.length) * 100;
+}
+
+// Least-squares slope of the 7-day score over recent snapshots, in points per day
+function getMomentumTrend(snapshots) {
+    const since = DateService.addDays(getToday(), -(MOMENTUM_TREND_DAYS - 1));
+    const points = Object.keys(snapshots).filter(date => date >= since).map(date => ({
+        x: DateService.getDaysBetween(since, date),
+        y: snapshots[date][MOMENTUM_WINDOWS[0]].score
+    }));
+    if (points.length < 4) return 'starting';
+    
+    const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+    const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+    const covariance = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0);
+    const variance = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+    const slope = variance === 0 ? 0 : covariance / variance;
+    
+    if (slope > 2) return 'accelerating';
+    if (slope > 0.5) return 'growing';
+    if (slope >= -0.5) return 'steady';
+    return 'declining';
+}
+
+function generateMomentumRecommendation(score, trend, factors) {
+    if (score >= 90) {
+        return 'Elite momentum! Maintain this intensity and focus on breakthrough opportunities.';
+    } else if (score >= 75) {
+        return 'Strong momentum! Increase intensity slightly for breakthrough acceleration.';
+    } else if (score >= 60) {
+        if (factors.consistency < 80) {
+            return 'Good progress! Focus on daily consistency to build unstoppable momentum.';
+        } else if (factors.growth < 60) {
+            return 'Consistent but stagnant. Add 10% more intensity to each domain.';
+        } else {
+            return 'Solid foundation! Now push one domain to mastery level each day.';
+        }
+    } else if (score >= 40) {
+        return 'Building foundation. Focus on hitting daily minimums consistently.';
+    } else {
+        return 'Initial phase. Start with one domain at a time and build consistency.';
+    }
+}
+
+// XP, domain XP and target per day for `count` days ending on endDate, newest first
+function getDaysData(count, endDate = getToday()) {
+    const days = [];
+    
+    for (let i = 0; i < count; i++) {
+        const dateString = DateService.addDays(endDate, -i);
+        const data = getDayRecord(dateString);
+        const xp = XPLedger.getDaySummary(dateString);
+        
+        const domains = {};
+        getDomainIds().forEach(domain => {
+            domains[domain] = xp.domains[domain] || 0;
+        });
+        
+        days.push({
+            date: dateString,
+            totalXP: xp.total,
+            domains,
+            target: getIntensityForDate(dateString).xp,
+            alignment: data.alignment || false
+        });
+    }
+    
+    return days;
+}
+
+function getLast7DaysData() {
+    return getDaysData(7);
+}
+
+function getMomentumSnapshots() {
+    return safeLocalStorageGet(MOMENTUM_SNAPSHOTS_KEY, {});
+}
+
+// Today's snapshot is rewritten on every refresh; earlier ones keep the scores
+// they had when the day ended. Days the app was not opened are filled in,
+// back to the first record, from the data as it stands now.
+function recordMomentumSnapshots() {
+    const firstDate = getFirstRecordedDate();
+    if (!firstDate) return;
+    
+    const today = getToday();
+    const snapshots = getMomentumSnapshots();
+    const historyStart = DateService.addDays(today, -(MOMENTUM_HISTORY_DAYS - 1));
+    const missing = [];
+    for (let date = firstDate > historyStart ? firstDate : historyStart; date <= today; date = DateService.addDays(date, 1)) {
+        if (!snapshots[date] || date === today) missing.push(date);
+    }
+    
+    const longest = Math.max(...MOMENTUM_WINDOWS);
+    const days = getDaysData(longest + DateService.getDaysBetween(missing[0], today), today);
+    missing.forEach(date => {
+        const offset = DateService.getDaysBetween(date, today);
+        snapshots[date] = calculateMomentumWindows(days.slice(offset, offset + longest));
+    });
+    
+    const cutoff = DateService.addDays(today, -MOMENTUM_SNAPSHOT_RETENTION_DAYS);
+    Object.keys(snapshots).filter(date => date < cutoff).forEach(date => delete snapshots[date]);
+    // Refreshes run every minute; unchanged scores are not written again
+    if (JSON.stringify(snapshots) !== StorageEngine.getItem(MOMENTUM_SNAPSHOTS_KEY)) {
+        safeLocalStorageSet(MOMENTUM_SNAPSHOTS_KEY, snapshots);
+    }
+}
+
+function updateMomentumDisplay() {
+    recordMomentumSnapshots();
+    
+    const momentum = calculateMomentumScore();
+    const display = document.getElementById('momentum-display');
+    const scoreEl = document.getElementById('momentum-score');
+    const trendEl = document.getElementById('momentum-trend');
+    const recommendationEl = document.getElementById('momentum-recommendation');
+    
+    scoreEl.textContent = momentum.score;
+    trendEl.textContent = `Momentum: ${momentum.trend}`;
+    recommendationEl.textContent = momentum.recommendation;
+    document.getElementById('momentum-windows').innerHTML = MOMENTUM_WINDOWS.map(length => `
+        <div class="momentum-window">
+            <div class="momentum-window-score">${momentum.windows[length].score}</div>
+            <div>${length} days</div>
+        </div>
+    `).join('');
+    
+    // Color code based on score
+    if (momentum.score >= 80) {
+        display.style.background = 'linear-gradient(135deg, #34C759, #007AFF)';
+    } else if (momentum.score >= 60) {
+        display.style.background = 'linear-gradient(135deg, #FF9500, #34C759)';
+    } else {
+        display.style.background = 'linear-gradient(135deg, #FF3B30, #FF9500)';
+    }
+    
+    renderMomentumHistory();
+}
+
+// Score and factor breakdown of the chosen window across recent snapshots
+function renderMomentumHistory() {
+    const length = parseInt(document.getElementById('momentum-history-window').value, 10) || MOMENTUM_WINDOWS[0];
+    const since = DateService.addDays(getToday(), -(MOMENTUM_HISTORY_DAYS - 1));
+    const snapshots = getMomentumSnapshots();
+    const dates = Object.keys(snapshots).filter(date => date >= since && snapshots[date][length]).sort();
+    const container = document.getElementById('momentum-history');
+    
+    if (dates.length === 0) {
+        container.innerHTML = '<div class="recurring-meta">Momentum history starts with your first logged day.</div>';
+        return;
+    }
+    
+    const rows = [['score', 'Momentum'], ...MOMENTUM_FACTORS.map(factor => [factor, factor.charAt(0).toUpperCase() + factor.slice(1)])];
+    container.innerHTML = rows.map(([key, label]) => {
+        const values = dates.map(date => (key === 'score' ? snapshots[date][length].score : snapshots[date][length].factors[key]));
+        return `
+            <div class="momentum-history-row">
+                <div class="momentum-history-label">
+                    <span>${label}${key === 'score' ? '' : ` (${Math.round(MOMENTUM_WEIGHTS[key] * 100)}%)`}</span>
+                    <span>${values[values.length - 1]}</span>
+                </div>
+                <div class="momentum-history-bars">
+                    ${values.map((value, index) => `<div class="momentum-history-bar ${key === 'score' ? 'score' : ''}" style="height: ${Math.max(value, 2)}%;" title="${formatTaskDate(dates[index])}: ${value}"></div>`).join('')}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// ENHANCED: Tomorrow Preview System
+function showTomorrowPreview() {
+    const preview = generateTomorrowPreview();
+    const modal = document.getElementById('preview-modal');
+    
+    document.getElementById('preview-focus').textContent = preview.focus;
+    document.getElementById('preview-scary-task').textContent = preview.scaryTask;
+    
+    const domainsEl = document.getElementById('preview-domains');
+    domainsEl.innerHTML = '';
+    
+    preview.domainPriorities.forEach(domain => {
+        const item = document.createElement('div');
+        item.className = 'preview-item';
+        item.innerHTML = `
+            <div class="preview-item-icon">${escapeHTML(domain.icon)}</div>
+            <div>${escapeHTML(domain.name)}: ${escapeHTML(domain.recommendation)}</div>
+        `;
+        domainsEl.appendChild(item);
+    });
+    
+    const tasksEl = document.getElementById('preview-tasks');
+    tasksEl.innerHTML = preview.scheduledTasks.length === 0
+        ? '<div class="preview-item"><div class="preview-item-icon">📭</div><div>Nothing scheduled yet</div></div>'
+        : preview.scheduledTasks.map(task => `
+            <div class="preview-item">
+                <div class="preview-item-icon">${escapeHTML(getCategoryInfo(task.category).icon)}</div>
+                <div>${escapeHTML(task.text)} • ${task.xp} XP${task.seriesId ? ' • 🔁' : ''}</div>
+            </div>
+        `).join('');
+    
+    modal.classList.add('active');
+}
+
+function closePreviewModal() {
+    document.getElementById('preview-modal').classList.remove('active');
+}
+
+function generateTomorrowPreview() {
+    const momentum = calculateMomentumScore();
+    const todayData = getLast7DaysData()[0];
+    const weakDomains = findWeakDomains();
+    
+    let focus = '';
+    let scaryTask = '';
+    
+    // Determine focus based on momentum and weak domains
+    if (momentum.score < 60) {
+        focus = 'Foundation Building: Focus on hitting all domain minimums consistently';
+        scaryTask = 'Complete one task in your weakest domain with extra intensity';
+    } else if (momentum.score < 80) {
+        focus = 'Momentum Acceleration: Push one domain beyond target for breakthrough';
+        scaryTask = 'Reach 200+ total XP by adding intensity to strong domains';
+    } else {
+        focus = 'Breakthrough Mode: All domains at 150%+ target, focus on industry outreach';
+        scaryTask = 'Schedule 3 industry follow-ups or new contact attempts';
+    }
+    
+    // Domain priorities
+    const domainPriorities = weakDomains.map(domain => ({
+        name: domain.name,
+        icon: domain.icon,
+        recommendation: `Aim for ${domain.target + 10} XP`
+    }));
     
     // If no weak domains, suggest balanced growth
     if (domainPriorities.length === 0) {
-        domainPriorities.push(
-            { name: 'Creation', icon: '🎭', recommendation: 'Focus on industry networking' },
-            { name: 'Physical', icon: '💪', recommendation: 'Add intensity to weakest exercise' },
-            { name: 'Meditation', icon: '🧘', recommendation: 'Extend session by 10 minutes' },
-            { name: 'Recovery', icon: '😴', recommendation: 'Quality sleep focus' }
-        );
+        DomainConfig.getDomains().forEach(domain => {
+            domainPriorities.push({
+                name: domain.name,
+                icon: domain.icon,
+                recommendation: domain.tip || `Push past ${domain.target} XP`
+            });
+        });
+    }
+    
+    // Tasks already on tomorrow's list, including routine copies still to appear
+    const scheduledTasks = getScheduledTasks(DateService.addDays(getToday(), 1));
+    
+    return {
+        focus,
+        scaryTask,
+        domainPriorities,
+        scheduledTasks
+    };
+}
+
+function findWeakDomains() {
+    const last7Days = getLast7DaysData();
+    const domainAverages = {};
+    
+    DomainConfig.getDomains().forEach(domain => {
+        const total = last7Days.reduce((sum, day) => sum + (day.domains[domain.id] || 0), 0);
+        domainAverages[domain.id] = total / last7Days.length;
+    });
+    
+    const weakDomains = [];
+    DomainConfig.getDomains().forEach(domain => {
+        if (domainAverages[domain.id] < (domain.target * 0.7)) {
+            weakDomains.push({
+                name: domain.name,
+                icon: domain.icon,
+                target: domain.target,
+                current: domainAverages[domain.id]
+            });
+        }
+    });
+    
+    return weakDomains;
+}
+
+// ENHANCED: Keyboard Shortcuts
+document.addEventListener('keydown', function(e) {
+    // Cmd/Ctrl + S for saving alignment
+    if ((e.metaKey || e.ctrlKey) && e.key === 's') {
+        e.preventDefault();
+        saveAlignment();
+    }
+    
+    // Cmd/Ctrl + K for focusing task input
+    if ((e.metaKey || e.ctrlKey) && e.key === 'k') {
+        e.preventDefault();
+        document.getElementById('task-input').focus();
+    }
+    
+    // Cmd/Ctrl + Z for undo, Cmd/Ctrl + Shift + Z (or Ctrl + Y) for redo.
+    // Text fields keep their native undo.
+    const editingText = ['INPUT', 'TEXTAREA'].includes(e.target.tagName);
+    if ((e.metaKey || e.ctrlKey) && !editingText && (e.key.toLowerCase() === 'z' || e.key === 'y')) {
+        e.preventDefault();
+        if (e.shiftKey || e.key === 'y') {
+            redoLastAction();
+        } else {
+            undoLastAction();
+        }
+    }
+    
+    // Escape to close modals
+    if (e.key === 'Escape') {
+        closeEditModal();
+        closePreviewModal();
+        closePassphraseModal();
+        closeRestoreModal();
+        closeActivityModal();
+    }
+});
+
+// ENHANCED: Pull-to-Refresh Gesture
+let touchStartY = 0;
+document.addEventListener('touchstart', e => {
+    touchStartY = e.touches[0].clientY;
+});
+
+document.addEventListener('touchmove', e => {
+    const touchY = e.touches[0].clientY;
+    // Only trigger if at top of page and pulling down significantly
+    if (touchY - touchStartY > 100 && window.scrollY === 0) {
+        location.reload();
+    }
+});
+
+// ENHANCED: Domain Configuration
+// Domains, activity categories, their icons, XP values and daily targets are
+// user data kept in domain_config. Categories and domains are retired rather
+// than deleted, so records that reference them keep their name, icon and
+// domain; a category never moves to another domain for the same reason.
+const DOMAIN_CONFIG_KEY = 'domain_config';
+const DOMAIN_COLORS = ['var(--system-purple)', 'var(--system-green)', 'var(--system-blue)', 'var(--system-orange)', 'var(--system-red)', 'var(--system-gray1)'];
+
+const DEFAULT_DOMAIN_CONFIG = {
+    domains: [
+        { id: 'creation', name: 'Creation', title: 'Creation Domain', description: 'Master performance, storytelling, and creative expression', icon: '🎭', color: 'var(--system-purple)', target: 40, quickXP: [5, 10, 15], tip: 'Focus on industry networking' },
+        { id: 'physical', name: 'Physical', title: 'Physical Mastery', description: 'Build the physique and presence of a Hollywood star', icon: '💪', color: 'var(--system-green)', target: 40, quickXP: [5, 10, 15], tip: 'Add intensity to weakest exercise' },
+        { id: 'meditation', name: 'Meditation', title: 'Meditation & Mindfulness', description: 'Cultivate inner stillness and creative flow', icon: '🧘', color: 'var(--system-blue)', target: 40, quickXP: [5, 8, 12], tip: 'Extend session by 10 minutes' },
+        { id: 'recovery', name: 'Recovery', title: 'Recovery & Integration', description: 'Optimize rest, recovery, and performance integration', icon: '😴', color: 'var(--system-orange)', target: 40, quickXP: [5, 8, 12], tip: 'Quality sleep focus' }
+    ],
+    // taskPicker: offered as a task category on the Today view.
+    // rule: converts a logged quantity to XP; without one a log earns the fixed xp.
+    categories: [
+        { id: 'act', name: 'Act', domain: 'creation', icon: '🎭', xp: 5, taskPicker: true },
+        { id: 'study', name: 'Study', domain: 'creation', icon: '📚', xp: 5, taskPicker: true },
+        { id: 'create', name: 'Create', domain: 'creation', icon: '✨', xp: 5, taskPicker: true },
+        { id: 'network', name: 'Network', domain: 'creation', icon: '🤝', xp: 8 },
+        { id: 'reading', name: 'Reading', domain: 'creation', icon: '📖', xp: 3, rule: { unit: 'pages', per: 10, xp: 1, cap: 8 } },
+        { id: 'writing', name: 'Writing', domain: 'creation', icon: '✍️', xp: 5, rule: { unit: 'words', per: 100, xp: 1, cap: 10 } },
+        { id: 'voice', name: 'Voice', domain: 'creation', icon: '🎤', xp: 5, rule: { unit: 'minutes', per: 5, xp: 1, cap: 10 } },
+        { id: 'marts', name: 'Martial Arts', domain: 'physical', icon: '🥋', xp: 10, taskPicker: true, rule: { unit: 'minutes', per: 6, xp: 1, cap: 20 } },
+        { id: 'cardio', name: 'Cardio', domain: 'physical', icon: '🏃', xp: 8, rule: { unit: 'minutes', per: 6, xp: 1, cap: 16 } },
+        { id: 'gym', name: 'Gym', domain: 'physical', icon: '🏋️', xp: 10, taskPicker: true, rule: { unit: 'minutes', per: 6, xp: 1, cap: 20 } },
+        { id: 'yoga', name: 'Yoga', domain: 'physical', icon: '🧘', xp: 8, rule: { unit: 'minutes', per: 6, xp: 1, cap: 16 } },
+        { id: 'dance', name: 'Dance', domain: 'physical', icon: '💃', xp: 8, rule: { unit: 'minutes', per: 6, xp: 1, cap: 16 } },
+        { id: 'stretch', name: 'Stretching', domain: 'physical', icon: '🤸', xp: 5, rule: { unit: 'minutes', per: 4, xp: 1, cap: 10 } },
+        { id: 'meditation', name: 'Meditation', domain: 'meditation', icon: '🕉️', xp: 8, taskPicker: true, rule: { unit: 'minutes', per: 2, xp: 1, cap: 16 } },
+        { id: 'breathwork', name: 'Breathwork', domain: 'meditation', icon: '🌬️', xp: 5, rule: { unit: 'minutes', per: 2, xp: 1, cap: 10 } },
+        { id: 'visualization', name: 'Visualization', domain: 'meditation', icon: '👁️', xp: 5, rule: { unit: 'minutes', per: 2, xp: 1, cap: 10 } },
+        { id: 'mindfulness', name: 'Mindfulness', domain: 'meditation', icon: '🌿', xp: 3 },
+        { id: 'sleep', name: 'Quality Sleep', domain: 'recovery', icon: '😴', xp: 12, rule: { unit: 'hours', per: 1, xp: 2, cap: 16 } },
+        { id: 'nutrition', name: 'Nutrition', domain: 'recovery', icon: '🥗', xp: 8 },
+        { id: 'recovery', name: 'Active Recovery', domain: 'recovery', icon: '🔄', xp: 8 },
+        { id: 'planning', name: 'Planning', domain: 'recovery', icon: '📅', xp: 5 }
+    ]
+};
+
+// Streak rules count these, so they are fixed rather than configurable
+const SPECIAL_TASK_CATEGORIES = {
+    critical: { id: 'critical', name: 'Critical Task', label: 'Critical', domain: 'special', icon: '⭐', xp: 5 },
+    scary: { id: 'scary', name: 'Scary Task', label: 'Scary', domain: 'special', icon: '🔥', xp: 10 }
+};
+
+// xp per `per` units, whole steps only, never above cap
+function calculateRuleXP(rule, quantity) {
+    const xp = Math.floor(quantity / rule.per) * rule.xp;
+    return rule.cap ? Math.min(xp, rule.cap) : xp;
+}
+
+function formatXPRule(rule) {
+    return `${rule.xp} XP per ${rule.per} ${rule.unit}${rule.cap ? `, max ${rule.cap}` : ''}`;
+}
+
+// Accepts the formatXPRule wording, e.g. "1 XP per 6 minutes, max 20"
+function parseXPRule(text) {
+    const match = text.trim().match(/^(\d+)\s*(?:xp)?\s*(?:per|\/)\s*(\d+(?:\.\d+)?)\s*([a-z]+)\s*(?:,?\s*(?:max|cap)\s*(\d+))?$/i);
+    if (!match) return null;
+    const rule = { unit: match[3].toLowerCase(), per: parseFloat(match[2]), xp: parseInt(match[1], 10) };
+    if (match[4]) rule.cap = parseInt(match[4], 10);
+    return rule.per > 0 && rule.xp > 0 ? rule : null;
+}
+
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function slugifyConfigId(name, takenIds) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'item';
+    let id = base;
+    for (let n = 2; takenIds.includes(id) || SPECIAL_TASK_CATEGORIES[id] || id === 'special'; n++) {
+        id = `${base}-${n}`;
+    }
+    return id;
+}
+
+const DomainConfig = {
+    // Parsed config, dropped whenever the stored copy changes (edits, sync, restore)
+    cache: null,
+    
+    init() {
+        StorageEngine.onChange(key => {
+            if (key === DOMAIN_CONFIG_KEY) this.cache = null;
+        });
+    },
+    
+    get() {
+        if (!this.cache) {
+            const stored = safeLocalStorageGet(DOMAIN_CONFIG_KEY, null);
+            const config = stored && Array.isArray(stored.domains) ? stored : DEFAULT_DOMAIN_CONFIG;
+            this.cache = {
+                domains: config.domains.map(domain => ({ quickXP: [5, 10, 15], retired: false, ...domain })),
+                categories: (config.categories || []).map(category => ({ taskPicker: false, retired: false, ...category }))
+            };
+        }
+        return this.cache;
+    },
+    
+    save(config) {
+        this.cache = null;
+        return safeLocalStorageSet(DOMAIN_CONFIG_KEY, config);
+    },
+    
+    // Copy for editing, so a rejected change never touches the cache
+    edit(mutate) {
+        const config = JSON.parse(JSON.stringify(this.get()));
+        const error = mutate(config);
+        if (error) return error;
+        this.save(config);
+        return null;
+    },
+    
+    getDomains(includeRetired = false) {
+        return this.get().domains.filter(domain => includeRetired || !domain.retired);
+    },
+    
+    getDomain(id) {
+        return this.get().domains.find(domain => domain.id === id) || null;
+    },
+    
+    // Active categories sit in an active domain
+    getCategories(domainId = null, includeRetired = false) {
+        return this.get().categories.filter(category =>
+            (!domainId || category.domain === domainId) &&
+            (includeRetired || (!category.retired && !(this.getDomain(category.domain) || { retired: true }).retired))
+        );
+    },
+    
+    getCategory(id) {
+        return this.get().categories.find(category => category.id === id) || null;
+    }
+};
+
+// Never null: retired and unknown domains still need a name for history
+function getDomainInfo(id) {
+    return DomainConfig.getDomain(id) || {
+        id,
+        name: id.charAt(0).toUpperCase() + id.slice(1),
+        title: id,
+        icon: '📊',
+        color: 'var(--system-gray1)',
+        target: 40,
+        quickXP: [],
+        retired: true
+    };
+}
+
+// Never null either. Quick XP entries use the domain id as their category.
+function getCategoryInfo(id) {
+    if (SPECIAL_TASK_CATEGORIES[id]) return SPECIAL_TASK_CATEGORIES[id];
+    const category = DomainConfig.getCategory(id);
+    if (category) return category;
+    const domain = DomainConfig.getDomain(id);
+    if (domain) return { id, name: domain.name, domain: domain.id, icon: domain.icon, xp: 0, retired: domain.retired };
+    return { id, name: id, domain: 'special', icon: '📌', xp: 0, retired: true };
+}
+
+function getDomainIds() {
+    return DomainConfig.getDomains().map(domain => domain.id);
+}
+
+// Active domains plus any retired or unknown domain that holds XP in the given summaries
+function getReportedDomainIds(summaries) {
+    const ids = getDomainIds();
+    summaries.forEach(summary => {
+        Object.keys(summary.domains).forEach(domain => {
+            if (domain !== 'special' && !ids.includes(domain) && summary.domains[domain] !== 0) ids.push(domain);
+        });
+    });
+    return ids;
+}
+
+// Today grid, Domains view, task picker and edit select all render from the config
+function renderDomainViews() {
+    const domains = DomainConfig.getDomains();
+    
+    document.getElementById('compact-domain-grid').innerHTML = domains.map(domain => `
+        <div class="compact-domain-card">
+            <div class="compact-domain-header">
+                <div class="compact-domain-title">
+                    <span class="compact-domain-icon">${escapeHTML(domain.icon)}</span>
+                    <span>${escapeHTML(domain.name)}</span>
+                </div>
+                <div class="compact-domain-xp" id="compact-${domain.id}-xp">0/${domain.target}</div>
+            </div>
+            <div class="compact-progress-bar">
+                <div class="compact-progress-fill" id="compact-${domain.id}-fill" style="width: 0%; background: ${domain.color};"></div>
+            </div>
+            <div class="compact-xp-buttons">
+                ${domain.quickXP.map(xp => `<button class="compact-xp-btn" onclick="addQuickDomainXP('${domain.id}', ${xp})">+${xp}</button>`).join('')}
+            </div>
+        </div>
+    `).join('');
+    
+    const targets = [...new Set(domains.map(domain => domain.target))];
+    document.getElementById('domain-intro').textContent = targets.length === 1
+        ? `${domains.length} core domains for Hollywood mastery. Target: ${targets[0]} XP each daily.`
+        : `${domains.length} core domains for Hollywood mastery, each with its own daily target.`;
+    
+    document.getElementById('domain-detail-list').innerHTML = domains.map(domain => `
+        <div class="domain-detail-card" style="border-left-color: ${domain.color};">
+            <div class="card-header">
+                <div class="card-title-section">
+                    <div class="card-icon" style="background: ${domain.color};">${escapeHTML(domain.icon)}</div>
+                    <div class="card-title">${escapeHTML(domain.title || domain.name)}</div>
+                </div>
+                <div class="xp-badge" id="${domain.id}-total">0/${domain.target} XP</div>
+            </div>
+            
+            <div style="color: var(--system-gray1); margin-bottom: 12px;">
+                ${escapeHTML(domain.description || '')}
+            </div>
+            
+            <div class="domain-categories">
+                ${DomainConfig.getCategories(domain.id).map(category => `
+                    <button class="domain-category" onclick="openActivityLog('${domain.id}', '${category.id}')">${escapeHTML(category.icon)} ${escapeHTML(category.name)} (${category.rule ? `${category.rule.xp}/${category.rule.per} ${escapeHTML(category.rule.unit)}` : category.xp})</button>
+                `).join('')}
+            </div>
+            
+            <div class="activity-log" id="${domain.id}-log"></div>
+        </div>
+    `).join('');
+    
+    renderTaskCategoryPicker();
+    renderDomainSettings();
+    populateFocusCategoryOptions();
+    renderGuidedSessions();
+}
+
+function renderTaskCategoryPicker() {
+    const pickerCategories = DomainConfig.getCategories().filter(category => category.taskPicker);
+    const categories = [SPECIAL_TASK_CATEGORIES.critical, SPECIAL_TASK_CATEGORIES.scary, ...pickerCategories];
+    if (!categories.some(category => category.id === currentCategory)) {
+        currentCategory = 'critical';
+    }
+    
+    document.getElementById('task-categories').innerHTML = categories.map(category => {
+        const classes = ['task-category'];
+        if (category.id === 'scary') classes.push('scary');
+        if (category.id === currentCategory) classes.push('active');
+        return `<button class="${classes.join(' ')}" data-category="${category.id}" data-xp="${category.xp}" onclick="selectTaskCategory('${category.id}')">${escapeHTML(category.icon)} ${escapeHTML(category.label || category.name)} (${category.xp})</button>`;
+    }).join('');
+}
+
+function selectTaskCategory(categoryId) {
+    currentCategory = categoryId;
+    document.querySelectorAll('.task-category').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.category === categoryId);
+    });
+}
+
+// Edit select lists the active categories plus the task's own, even if retired
+function populateTaskCategoryOptions(selectedId) {
+    const select = document.getElementById('edit-task-category');
+    const categories = [SPECIAL_TASK_CATEGORIES.critical, SPECIAL_TASK_CATEGORIES.scary, ...DomainConfig.getCategories()];
+    if (!categories.some(category => category.id === selectedId)) {
+        categories.push(getCategoryInfo(selectedId));
+    }
+    
+    select.innerHTML = '';
+    categories.forEach(category => {
+        const label = category.retired ? `${category.name} (retired)` : category.name;
+        select.appendChild(new Option(label, category.id));
+    });
+    select.value = selectedId;
+}
+
+function renderDomainSettings() {
+    const container = document.getElementById('domain-settings-list');
+    if (!container) return;
+    
+    container.innerHTML = DomainConfig.getDomains(true).map(domain => `
+        <div class="domain-settings-item ${domain.retired ? 'retired' : ''}">
+            <div class="domain-settings-header">
+                <div>
+                    <strong>${escapeHTML(domain.icon)} ${escapeHTML(domain.name)}</strong>
+                    <span class="domain-settings-meta">${domain.retired ? 'Retired' : `${domain.target} XP/day • Quick +${domain.quickXP.join('/+')}`}</span>
+                </div>
+                <div class="domain-settings-actions">
+                    <button class="domain-settings-btn" onclick="editDomain('${domain.id}')">✏️</button>
+                    <button class="domain-settings-btn" onclick="toggleDomainRetired('${domain.id}')">${domain.retired ? 'Restore' : 'Retire'}</button>
+                </div>
+            </div>
+            ${domain.retired ? '' : `
+                <div class="domain-settings-categories">
+                    ${DomainConfig.getCategories(domain.id, true).map(category => `
+                        <div class="domain-settings-category ${category.retired ? 'retired' : ''}">
+                            <span>${escapeHTML(category.icon)} ${escapeHTML(category.name)} • ${category.rule ? escapeHTML(formatXPRule(category.rule)) : `${category.xp} XP`}${category.taskPicker && !category.retired ? ' • task' : ''}${category.retired ? ' • retired' : ''}</span>
+                            <div class="domain-settings-actions">
+                                <button class="domain-settings-btn" onclick="editCategory('${category.id}')">✏️</button>
+                                <button class="domain-settings-btn" onclick="toggleCategoryRetired('${category.id}')">${category.retired ? 'Restore' : 'Retire'}</button>
+                            </div>
+                        </div>
+                    `).join('')}
+                    <button class="domain-settings-btn" onclick="addCategory('${domain.id}')">+ Category</button>
+                </div>
+            `}
+        </div>
+    `).join('');
+}
+
+// Every config edit re-renders the views and refreshes today's figures
+function applyDomainConfigEdit(mutate) {
+    const error = DomainConfig.edit(mutate);
+    if (error) {
+        alert(`❌ ${error}`);
+        return false;
+    }
+    renderDomainViews();
+    refreshAfterAction();
+    return true;
+}
+
+function promptConfigNumber(message, current) {
+    const answer = prompt(message, current);
+    if (answer === null) return null;
+    const value = parseInt(answer, 10);
+    return Number.isInteger(value) && value > 0 ? value : NaN;
+}
+
+function addDomain() {
+    const name = (prompt('Domain name:') || '').trim();
+    if (!name) return;
+    const icon = (prompt('Icon (emoji):', '📊') || '📊').trim();
+    const target = promptConfigNumber('Daily XP target:', 40);
+    if (target === null) return;
+    
+    applyDomainConfigEdit(config => {
+        if (Number.isNaN(target)) return 'The daily target must be a whole number above 0';
+        const id = slugifyConfigId(name, [...config.domains, ...config.categories].map(item => item.id));
+        const usedColors = config.domains.filter(domain => !domain.retired).map(domain => domain.color);
+        config.domains.push({
+            id,
+            name,
+            title: name,
+            description: '',
+            icon,
+            color: DOMAIN_COLORS.find(color => !usedColors.includes(color)) || DOMAIN_COLORS[config.domains.length % DOMAIN_COLORS.length],
+            target,
+            quickXP: [5, 10, 15],
+            retired: false
+        });
+        return null;
+    });
+}
+
+function editDomain(id) {
+    const domain = DomainConfig.getDomain(id);
+    if (!domain) return;
+    
+    const name = prompt('Domain name:', domain.name);
+    if (name === null) return;
+    const icon = prompt('Icon (emoji):', domain.icon);
+    if (icon === null) return;
+    const target = promptConfigNumber('Daily XP target:', domain.target);
+    if (target === null) return;
+    const quickXP = prompt('Quick XP buttons (comma separated):', domain.quickXP.join(', '));
+    if (quickXP === null) return;
+    const description = prompt('Description:', domain.description || '');
+    if (description === null) return;
+    
+    applyDomainConfigEdit(config => {
+        const quickValues = quickXP.split(',').map(value => parseInt(value, 10));
+        if (!name.trim()) return 'Domain name is required';
+        if (Number.isNaN(target)) return 'The daily target must be a whole number above 0';
+        if (quickValues.some(value => !Number.isInteger(value) || value <= 0)) return 'Quick XP values must be whole numbers above 0';
+        
+        const entry = config.domains.find(item => item.id === id);
+        // The long title follows the name unless it was customised
+        if (entry.title === entry.name) entry.title = name.trim();
+        entry.name = name.trim();
+        entry.icon = icon.trim() || entry.icon;
+        entry.target = target;
+        entry.quickXP = quickValues;
+        entry.description = description.trim();
+        return null;
+    });
+}
+
+function toggleDomainRetired(id) {
+    const domain = DomainConfig.getDomain(id);
+    if (!domain) return;
+    if (!domain.retired && !confirm(`Retire ${domain.name}? Its history is kept and it can be restored later.`)) return;
+    
+    applyDomainConfigEdit(config => {
+        const entry = config.domains.find(item => item.id === id);
+        if (!entry.retired && config.domains.filter(item => !item.retired).length === 1) {
+            return 'At least one domain must stay active';
+        }
+        entry.retired = !entry.retired;
+        return null;
+    });
+}
+
+function addCategory(domainId) {
+    const name = (prompt('Category name:') || '').trim();
+    if (!name) return;
+    const icon = (prompt('Icon (emoji):', '✨') || '✨').trim();
+    const xp = promptConfigNumber('XP per activity:', 5);
+    if (xp === null) return;
+    const ruleText = prompt('XP rule for logged quantities, e.g. "1 XP per 6 minutes, max 20" (leave blank for fixed XP):', '');
+    if (ruleText === null) return;
+    const taskPicker = confirm('Offer this category when adding tasks?');
+    
+    applyDomainConfigEdit(config => {
+        if (Number.isNaN(xp)) return 'XP must be a whole number above 0';
+        const rule = ruleText.trim() ? parseXPRule(ruleText) : null;
+        if (ruleText.trim() && !rule) return 'XP rules look like "1 XP per 6 minutes, max 20"';
+        // Category ids share a namespace with domain ids (quick XP uses the domain id)
+        const takenIds = [...config.categories, ...config.domains].map(item => item.id);
+        const category = { id: slugifyConfigId(name, takenIds), name, domain: domainId, icon, xp, taskPicker, retired: false };
+        if (rule) category.rule = rule;
+        config.categories.push(category);
+        return null;
+    });
+}
+
+function editCategory(id) {
+    const category = DomainConfig.getCategory(id);
+    if (!category) return;
+    
+    const name = prompt('Category name:', category.name);
+    if (name === null) return;
+    const icon = prompt('Icon (emoji):', category.icon);
+    if (icon === null) return;
+    const xp = promptConfigNumber('XP per activity:', category.xp);
+    if (xp === null) return;
+    const ruleText = prompt('XP rule for logged quantities, e.g. "1 XP per 6 minutes, max 20" (leave blank for fixed XP):', category.rule ? formatXPRule(category.rule) : '');
+    if (ruleText === null) return;
+    const taskPicker = confirm('Offer this category when adding tasks?');
+    
+    applyDomainConfigEdit(config => {
+        if (!name.trim()) return 'Category name is required';
+        if (Number.isNaN(xp)) return 'XP must be a whole number above 0';
+        const rule = ruleText.trim() ? parseXPRule(ruleText) : null;
+        if (ruleText.trim() && !rule) return 'XP rules look like "1 XP per 6 minutes, max 20"';
+        
+        const entry = config.categories.find(item => item.id === id);
+        entry.name = name.trim();
+        entry.icon = icon.trim() || entry.icon;
+        entry.xp = xp;
+        entry.taskPicker = taskPicker;
+        if (rule) {
+            entry.rule = rule;
+        } else {
+            delete entry.rule;
+        }
+        return null;
+    });
+}
+
+function toggleCategoryRetired(id) {
+    applyDomainConfigEdit(config => {
+        const entry = config.categories.find(item => item.id === id);
+        if (!entry) return 'Unknown category';
+        entry.retired = !entry.retired;
+        return null;
+    });
+}
+
+function resetDomainConfig() {
+    if (!confirm('Restore the default domains and categories? Custom domains and categories are removed from the editor; their history is kept.')) return;
+    StorageEngine.removeItem(DOMAIN_CONFIG_KEY);
+    DomainConfig.cache = null;
+    renderDomainViews();
+    refreshAfterAction();
+}
+
+// ENHANCED: Activity Logging
+// Domain buttons open a log form. Categories with an XP rule convert the
+// logged quantity (minutes, reps, km...) to XP; the rest earn their fixed XP.
+let currentActivityLog = null;
+
+function openActivityLog(domain, category) {
+    const info = getCategoryInfo(category);
+    currentActivityLog = { domain, category };
+    
+    document.getElementById('activity-modal-title').textContent = `${info.icon} ${info.name}`;
+    document.getElementById('activity-quantity-row').style.display = info.rule ? 'flex' : 'none';
+    document.getElementById('activity-quantity').value = '';
+    document.getElementById('activity-unit').textContent = info.rule ? info.rule.unit : '';
+    document.getElementById('activity-notes').value = '';
+    updateActivityXPPreview();
+    document.getElementById('activity-modal').classList.add('active');
+    if (info.rule) document.getElementById('activity-quantity').focus();
+}
+
+function getActivityLogXP() {
+    const info = getCategoryInfo(currentActivityLog.category);
+    if (!info.rule) return info.xp;
+    const quantity = parseFloat(document.getElementById('activity-quantity').value) || 0;
+    return calculateRuleXP(info.rule, quantity);
+}
+
+function updateActivityXPPreview() {
+    if (!currentActivityLog) return;
+    const info = getCategoryInfo(currentActivityLog.category);
+    const preview = document.getElementById('activity-xp-preview');
+    preview.textContent = info.rule
+        ? `${getActivityLogXP()} XP • ${formatXPRule(info.rule)}`
+        : `${info.xp} XP`;
+}
+
+function saveActivityLog() {
+    if (!currentActivityLog) return;
+    const info = getCategoryInfo(currentActivityLog.category);
+    const quantity = parseFloat(document.getElementById('activity-quantity').value) || 0;
+    const notes = document.getElementById('activity-notes').value.trim();
+    const xp = getActivityLogXP();
+    
+    if (info.rule && quantity <= 0) {
+        alert(`Enter the ${info.rule.unit} for this activity`);
+        return;
+    }
+    if (xp <= 0) {
+        alert(`Log at least ${info.rule.per} ${info.rule.unit} to earn XP`);
+        return;
+    }
+    
+    const { domain, category } = currentActivityLog;
+    closeActivityModal();
+    addDomainActivity(domain, category, xp, {
+        quantity: info.rule ? quantity : null,
+        unit: info.rule ? info.rule.unit : null,
+        notes
+    });
+}
+
+function closeActivityModal() {
+    document.getElementById('activity-modal').classList.remove('active');
+    currentActivityLog = null;
+}
+
+// "45 minutes • notes" for logs with details, empty for plain XP chunks
+function formatActivityDetails(activity) {
+    const parts = [];
+    if (activity.quantity) parts.push(`${activity.quantity} ${activity.unit}`);
+    if (activity.notes) parts.push(activity.notes);
+    return parts.join(' • ');
+}
+
+// Today's logged activities under each card in the Domains view
+function renderDomainActivityLogs() {
+    const day = safeLocalStorageGet(`mastery_${getViewedDate()}`, {});
+    
+    DomainConfig.getDomains().forEach(domain => {
+        const container = document.getElementById(`${domain.id}-log`);
+        if (!container) return;
+        const activities = ((day.domains || {})[domain.id] || {}).activities || [];
+        
+        container.innerHTML = activities.map(activity => {
+            const info = getCategoryInfo(activity.category);
+            const details = formatActivityDetails(activity);
+            return `
+                <div class="activity-log-item">
+                    <div>
+                        <div>${escapeHTML(info.icon)} ${escapeHTML(activity.source === 'quick' ? 'Quick XP' : info.name)}</div>
+                        ${details ? `<div class="activity-log-details">${escapeHTML(details)}</div>` : ''}
+                    </div>
+                    <div class="activity-log-xp">+${activity.xp} XP</div>
+                </div>
+            `;
+        }).join('');
+    });
+}
+
+// ENHANCED: Recurring Tasks
+// Series definitions live in recurring_tasks and materialise into each day's
+// tasks the first time that day is opened. An instance id is derived from the
+// series and the date (below the Date.now() range of one-off task ids), so
+// every device creates the same task and a deleted instance stays deleted
+// through its tombstone instead of reappearing on the next open.
+const RECURRING_TASKS_KEY = 'recurring_tasks';
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function getRecurringTasks() {
+    return safeLocalStorageGet(RECURRING_TASKS_KEY, []);
+}
+
+function saveRecurringTasks(seriesList) {
+    return safeLocalStorageSet(RECURRING_TASKS_KEY, seriesList);
+}
+
+function getSeriesInstanceId(seriesId, date) {
+    return DateService.getDaysBetween('1970-01-01', date) * 1e7 + (seriesId % 1e7);
+}
+
+// schedule: { type: 'daily' | 'weekdays' } | { type: 'weekly', days: [0-6] } | { type: 'interval', every: n }
+function isSeriesDueOn(series, date) {
+    if (date < series.startDate) return false;
+    const schedule = series.schedule;
+    const dayOfWeek = DateService.getDayOfWeek(date);
+    
+    switch (schedule.type) {
+        case 'daily': return true;
+        case 'weekdays': return dayOfWeek >= 1 && dayOfWeek <= 5;
+        case 'weekly': return schedule.days.includes(dayOfWeek);
+        case 'interval': return DateService.getDaysBetween(series.startDate, date) % schedule.every === 0;
+        default: return false;
+    }
+}
+
+function describeSchedule(schedule) {
+    switch (schedule.type) {
+        case 'daily': return 'Daily';
+        case 'weekdays': return 'Weekdays';
+        case 'weekly': return `Every ${schedule.days.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+        case 'interval': return `Every ${schedule.every} days`;
+        default: return 'Unknown schedule';
+    }
+}
+
+// Accepts the describeSchedule wording: "daily", "weekdays", "mon, thu", "every 3 days"
+function parseSchedule(text) {
+    const value = text.trim().toLowerCase().replace(/^every\s+(?=[a-z])/, '');
+    if (value === 'daily' || value === 'every day') return { type: 'daily' };
+    if (value === 'weekdays') return { type: 'weekdays' };
+    
+    const interval = value.match(/^every\s+(\d+)\s+days?$/);
+    if (interval) {
+        const every = parseInt(interval[1], 10);
+        return every >= 1 ? { type: 'interval', every } : null;
+    }
+    
+    const days = value.split(/[\s,]+/).filter(Boolean).map(name => WEEKDAY_NAMES.findIndex(day => name.startsWith(day.toLowerCase())));
+    if (days.length === 0 || days.includes(-1)) return null;
+    return { type: 'weekly', days: [...new Set(days)].sort((a, b) => a - b) };
+}
+
+function createSeriesInstance(series, date) {
+    return {
+        id: getSeriesInstanceId(series.id, date),
+        text: series.text,
+        category: series.category,
+        xp: series.xp,
+        completed: false,
+        timestamp: new Date().toISOString(),
+        seriesId: series.id
+    };
+}
+
+function materializeRecurringTasks(date) {
+    const due = getRecurringTasks().filter(series => isSeriesDueOn(series, date));
+    if (due.length === 0) return;
+    
+    const key = `mastery_${date}`;
+    const day = safeLocalStorageGet(key, {});
+    if (!day.tasks) day.tasks = [];
+    const tombstones = (day.tombstones && day.tombstones.tasks) || {};
+    
+    const instances = due
+        .map(series => createSeriesInstance(series, date))
+        .filter(instance => !tombstones[instance.id] && !day.tasks.some(task => task.id === instance.id));
+    if (instances.length === 0) return;
+    
+    day.tasks.push(...instances);
+    if (safeLocalStorageSet(key, day)) {
+        AuditLog.record({ kind: 'routine', date, description: `Added ${instances.length} routine task${instances.length === 1 ? '' : 's'}` }, 'auto');
+    }
+}
+
+// Starts a series from the task input; today's instance goes through the undo system
+function createRecurringTask(task, repeat, startDate = getToday()) {
+    const today = getToday();
+    let schedule = { type: repeat };
+    
+    if (repeat === 'weekly') {
+        schedule = { type: 'weekly', days: [DateService.getDayOfWeek(startDate)] };
+    } else if (repeat === 'interval') {
+        const every = parseInt(prompt('Repeat every how many days?', '2'), 10);
+        if (!Number.isInteger(every) || every < 1) return false;
+        schedule = { type: 'interval', every };
+    }
+    
+    const series = {
+        id: task.id,
+        text: task.text,
+        category: task.category,
+        xp: task.xp,
+        schedule,
+        startDate,
+        created: task.timestamp
+    };
+    saveRecurringTasks([...getRecurringTasks(), series]);
+    if (isSeriesDueOn(series, today)) {
+        executeAction(new TaskAction('add', today, { task: createSeriesInstance(series, today) }));
+    }
+    return true;
+}
+
+function updateRecurringTask(seriesId, fields) {
+    const seriesList = getRecurringTasks();
+    const series = seriesList.find(item => item.id === seriesId);
+    if (!series) return false;
+    Object.assign(series, fields, { updated: new Date().toISOString() });
+    return saveRecurringTasks(seriesList);
+}
+
+function editRecurringTask(seriesId) {
+    const series = getRecurringTasks().find(item => item.id === seriesId);
+    if (!series) return;
+    
+    const text = prompt('Task:', series.text);
+    if (text === null) return;
+    const xp = parseInt(prompt('XP:', series.xp), 10);
+    const scheduleText = prompt('Repeat (daily, weekdays, "mon, thu" or "every 3 days"):', describeSchedule(series.schedule));
+    if (scheduleText === null) return;
+    const schedule = parseSchedule(scheduleText);
+    
+    if (!text.trim()) {
+        alert('Task description is required');
+        return;
+    }
+    if (!Number.isInteger(xp) || xp <= 0) {
+        alert('XP value must be greater than 0');
+        return;
+    }
+    if (!schedule) {
+        alert('❌ Repeat must be daily, weekdays, day names such as "mon, thu", or "every N days"');
+        return;
+    }
+    
+    updateRecurringTask(seriesId, { text: text.trim(), xp, schedule });
+    applySeriesEditToToday(seriesId, { text: text.trim(), xp, category: series.category });
+    renderRecurringTasks();
+}
+
+// Today's instance follows a series edit; earlier days keep what was done
+function applySeriesEditToToday(seriesId, after) {
+    const today = getToday();
+    const day = safeLocalStorageGet(`mastery_${today}`, {});
+    const task = (day.tasks || []).find(item => item.seriesId === seriesId);
+    if (!task) return;
+    
+    executeAction(new TaskAction('edit', today, {
+        taskId: task.id,
+        before: { text: task.text, xp: task.xp, category: task.category, updated: task.updated || null },
+        after: { ...after, updated: new Date().toISOString() }
+    }));
+}
+
+function stopRecurringTask(seriesId) {
+    const series = getRecurringTasks().find(item => item.id === seriesId);
+    if (!series || !confirm(`Stop repeating "${series.text}"? Tasks already on your days are kept.`)) return;
+    
+    saveRecurringTasks(getRecurringTasks().filter(item => item.id !== seriesId));
+    renderRecurringTasks();
+}
+
+function renderRecurringTasks() {
+    const container = document.getElementById('recurring-list');
+    const seriesList = getRecurringTasks();
+    
+    container.innerHTML = seriesList.length === 0 ? '' : `
+        <div class="recurring-title">🔁 Routine</div>
+        ${seriesList.map(series => `
+            <div class="recurring-item">
+                <div>
+                    <div>${escapeHTML(getCategoryInfo(series.category).icon)} ${escapeHTML(series.text)}</div>
+                    <div class="recurring-meta">${describeSchedule(series.schedule)} • ${series.xp} XP</div>
+                </div>
+                <div class="task-actions">
+                    <button class="task-action-btn edit" onclick="editRecurringTask(${series.id})">✏️</button>
+                    <button class="task-action-btn delete" onclick="stopRecurringTask(${series.id})">🗑️</button>
+                </div>
+            </div>
+        `).join('')}
+    `;
+}
+
+// ENHANCED: Task Scheduling
+// Tasks can be added to a future day's record and moved between days.
+// Unfinished one-off tasks from the previous week are carried into today the
+// first time it opens (automatically, after asking, or not at all). The copy
+// keeps the task id so devices carrying the same task converge on one copy;
+// the original stays on its day marked with carriedTo.
+const TASK_SETTINGS_KEY = 'task_settings';
+const CARRY_OVER_LOOKBACK_DAYS = 7;
+const UPCOMING_TASK_DAYS = 7;
+const CARRY_OVER_MODES = ['auto', 'prompt', 'off'];
+
+function getTaskSettings() {
+    return { carryOver: 'auto', ...safeLocalStorageGet(TASK_SETTINGS_KEY, {}) };
+}
+
+function setCarryOverMode(mode) {
+    if (!CARRY_OVER_MODES.includes(mode)) return;
+    safeLocalStorageSet(TASK_SETTINGS_KEY, { ...getTaskSettings(), carryOver: mode });
+}
+
+function formatTaskDate(date) {
+    return DateService.parseDate(date).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+function findCarryOverTasks(today) {
+    const pending = [];
+    for (let i = CARRY_OVER_LOOKBACK_DAYS; i >= 1; i--) {
+        const date = DateService.addDays(today, -i);
+        const day = safeLocalStorageGet(`mastery_${date}`, {});
+        (day.tasks || []).forEach(task => {
+            // Routine copies come back on their own schedule
+            if (!task.completed && !task.seriesId && !task.carriedTo && !task.carryDismissed) {
+                pending.push({ date, task });
+            }
+        });
+    }
+    return pending;
+}
+
+function carryOverTasks(today) {
+    const mode = getTaskSettings().carryOver;
+    if (mode === 'off') return 0;
+    
+    const pending = findCarryOverTasks(today);
+    if (pending.length === 0) return 0;
+    const accepted = mode === 'auto' ||
+        confirm(`Carry ${pending.length} unfinished task${pending.length === 1 ? '' : 's'} from earlier days over to today?`);
+    const now = new Date().toISOString();
+    
+    // Mark the originals first so a declined prompt is not asked again
+    [...new Set(pending.map(item => item.date))].forEach(date => {
+        const key = `mastery_${date}`;
+        const day = safeLocalStorageGet(key, {});
+        day.tasks.forEach(task => {
+            if (!pending.some(item => item.date === date && item.task.id === task.id)) return;
+            if (accepted) {
+                task.carriedTo = today;
+            } else {
+                task.carryDismissed = true;
+            }
+            task.updated = now;
+        });
+        if (safeLocalStorageSet(key, day)) {
+            const count = pending.filter(item => item.date === date).length;
+            const tasks = `${count} unfinished task${count === 1 ? '' : 's'}`;
+            AuditLog.record({
+                kind: 'carry-over',
+                date,
+                description: accepted ? `Carried ${tasks} over to ${formatTaskDate(today)}` : `Declined carrying ${tasks} over`
+            }, 'auto');
+        }
+    });
+    if (!accepted) return 0;
+    
+    const key = `mastery_${today}`;
+    const day = safeLocalStorageGet(key, {});
+    if (!day.tasks) day.tasks = [];
+    const tombstones = (day.tombstones && day.tombstones.tasks) || {};
+    
+    pending.forEach(({ date, task }) => {
+        if (tombstones[task.id] || day.tasks.some(existing => existing.id === task.id)) return;
+        const copy = { ...task, carriedFrom: task.carriedFrom || date, updated: now };
+        delete copy.carriedTo;
+        day.tasks.push(copy);
+    });
+    safeLocalStorageSet(key, day);
+    return pending.length;
+}
+
+// Tasks already sitting on a day, plus routine copies that will appear when it opens
+function getScheduledTasks(date) {
+    const day = safeLocalStorageGet(`mastery_${date}`, {});
+    const tasks = [...(day.tasks || [])];
+    const tombstones = (day.tombstones && day.tombstones.tasks) || {};
+    
+    getRecurringTasks().filter(series => isSeriesDueOn(series, date)).forEach(series => {
+        const instance = createSeriesInstance(series, date);
+        if (!tombstones[instance.id] && !tasks.some(task => task.id === instance.id)) tasks.push(instance);
+    });
+    return tasks;
+}
+
+function renderUpcomingTasks() {
+    const today = getToday();
+    const container = document.getElementById('upcoming-tasks');
+    let html = '';
+    
+    for (let i = 1; i <= UPCOMING_TASK_DAYS; i++) {
+        const date = DateService.addDays(today, i);
+        const day = safeLocalStorageGet(`mastery_${date}`, {});
+        (day.tasks || []).forEach(task => {
+            const categoryInfo = getCategoryInfo(task.category);
+            html += `
+                <div class="recurring-item">
+                    <div>
+                        <div>${escapeHTML(categoryInfo.icon)} ${escapeHTML(task.text)}</div>
+                        <div class="recurring-meta">${formatTaskDate(date)} • ${escapeHTML(categoryInfo.name)} • ${task.xp} XP</div>
+                    </div>
+                    <div class="task-actions">
+                        <button class="task-action-btn delete" onclick="deleteScheduledTask('${date}', ${task.id})">🗑️</button>
+                    </div>
+                </div>
+            `;
+        });
+    }
+    
+    container.innerHTML = html || '<div class="recurring-meta">Nothing scheduled for the coming week.</div>';
+    document.getElementById('carry-over-mode').value = getTaskSettings().carryOver;
+}
+
+function deleteScheduledTask(date, taskId) {
+    const day = safeLocalStorageGet(`mastery_${date}`, {});
+    const index = (day.tasks || []).findIndex(task => task.id === taskId);
+    if (index === -1 || !confirm(`Remove "${day.tasks[index].text}" from ${formatTaskDate(date)}?`)) return;
+    
+    executeAction(new TaskAction('delete', date, { task: day.tasks[index], index }));
+}
+
+// ENHANCED: Day Picker & Backfill
+// The Today view edits one day at a time: today, or a past day opened from
+// the day picker to log what was missed. Days older than BACKFILL_MAX_DAYS
+// are closed, and alignment can only be claimed ALIGNMENT_BACKFILL_DAYS back.
+// Every change that lands on a past day (including its undo and redo) is
+// appended to a monthly audit log, and streak history marks those days.
+// Bookkeeping the app does itself (carry-over marks, routine copies) is logged
+// as 'auto' and leaves streak history alone, since it never changes XP.
+const BACKFILL_MAX_DAYS = 30;
+const ALIGNMENT_BACKFILL_DAYS = 2;
+const AUDIT_LOG_KEY_PATTERN = /^audit_log_(\d{4}-\d{2})$/;
+const AUDIT_LOG_DISPLAY_LIMIT = 50;
+const AUDIT_MODE_LABELS = { do: '', undo: 'Undid: ', redo: 'Redid: ', auto: 'Automatic: ' };
+
+// null follows today, so the view moves on at rollover
+let viewedDate = null;
+
+// Day the Today view was last loaded for. An installed app can resume after
+// rollover without reloading, so the new day's carry-over and routine copies
+// are made as soon as the change is noticed.
+const DAY_ROLLOVER_CHECK_MS = 60 * 1000;
+let loadedToday = null;
+
+function initDayRolloverWatch() {
+    loadedToday = getToday();
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) checkDayRollover();
+    });
+    setInterval(checkDayRollover, DAY_ROLLOVER_CHECK_MS);
+}
+
+function checkDayRollover() {
+    const today = getToday();
+    if (today === loadedToday) return;
+    
+    loadedToday = today;
+    loadActionHistory(); // Undo history is kept per day
+    loadTodayData();
+    loadTodaysGoal();
+    renderDayPicker();
+    updateStreakUrgency();
+    loadWeekHeatmap();
+    refreshAfterAction();
+}
+
+// Edits made in another open tab reach this tab's storage cache; redraw once
+// a burst of them has settled
+const CROSS_TAB_REFRESH_MS = 250;
+
+function initCrossTabRefresh() {
+    let timer = null;
+    StorageEngine.onChange((key, value, remote) => {
+        if (!remote) return;
+        clearTimeout(timer);
+        timer = setTimeout(refreshAfterAction, CROSS_TAB_REFRESH_MS);
+    });
+}
+
+function getViewedDate() {
+    return viewedDate || getToday();
+}
+
+function getBackfillStartDate() {
+    return DateService.addDays(getToday(), -BACKFILL_MAX_DAYS);
+}
+
+function canClaimAlignment(date) {
+    return date >= DateService.addDays(getToday(), -ALIGNMENT_BACKFILL_DAYS);
+}
+
+function openDay(date) {
+    const today = getToday();
+    if (!date || date > today) {
+        alert('❌ Future days are planned from the task due date, not opened');
+    } else if (date < getBackfillStartDate()) {
+        alert(`❌ Days more than ${BACKFILL_MAX_DAYS} days back can no longer be edited`);
+    } else {
+        viewedDate = date === today ? null : date;
+        loadTodayData();
+    }
+    renderDayPicker();
+}
+
+function shiftViewedDay(offset) {
+    openDay(DateService.addDays(getViewedDate(), offset));
+}
+
+function renderDayPicker() {
+    const today = getToday();
+    const date = getViewedDate();
+    const input = document.getElementById('view-date');
+    
+    input.value = date;
+    input.max = today;
+    input.min = getBackfillStartDate();
+    document.getElementById('view-date-prev').disabled = date <= getBackfillStartDate();
+    document.getElementById('view-date-next').disabled = date >= today;
+    document.getElementById('view-date-today').style.display = date === today ? 'none' : 'inline-block';
+    
+    const banner = document.getElementById('backfill-banner');
+    if (date === today) {
+        banner.style.display = 'none';
+        return;
+    }
+    banner.innerHTML = `✍️ Backfilling ${formatTaskDate(date)}. Changes are recorded in the audit trail.` +
+        (canClaimAlignment(date) ? '' : `<br>Alignment can only be claimed up to ${ALIGNMENT_BACKFILL_DAYS} days back.`);
+    banner.style.display = 'block';
+}
+
+function getActionDates(action) {
+    return [action.date, action.fromDate, action.toDate].filter(Boolean);
+}
+
+const AuditLog = {
+    // Dates with retroactive changes, dropped whenever an audit month changes
+    backfilledDates: null,
+    
+    init() {
+        StorageEngine.onChange(key => {
+            if (AUDIT_LOG_KEY_PATTERN.test(key)) this.backfilledDates = null;
+        });
+    },
+    
+    // mode: 'do', 'undo', 'redo' or 'auto'
+    record(action, mode) {
+        const today = getToday();
+        const pastDates = getActionDates(action).filter(date => date < today).sort();
+        if (pastDates.length === 0) return;
+        
+        const key = `audit_log_${today.slice(0, 7)}`;
+        const entries = safeLocalStorageGet(key, []);
+        entries.push({
+            timestamp: new Date().toISOString(),
+            date: pastDates[0],
+            kind: action.kind,
+            mode,
+            description: action.description
+        });
+        safeLocalStorageSet(key, entries);
+    },
+    
+    getEntries() {
+        return StorageEngine.keys('audit_log_')
+            .filter(key => AUDIT_LOG_KEY_PATTERN.test(key))
+            .flatMap(key => safeLocalStorageGet(key, []))
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    },
+    
+    getBackfilledDates() {
+        if (!this.backfilledDates) {
+            this.backfilledDates = new Set(this.getEntries().filter(entry => entry.mode !== 'auto').map(entry => entry.date));
+        }
+        return this.backfilledDates;
+    }
+};
+
+function loadAuditLog() {
+    const entries = AuditLog.getEntries();
+    const container = document.getElementById('audit-log');
+    
+    if (entries.length === 0) {
+        container.innerHTML = '<div class="recurring-meta">No retroactive changes recorded.</div>';
+        return;
+    }
+    container.innerHTML = entries.slice(0, AUDIT_LOG_DISPLAY_LIMIT).map(entry => `
+        <div class="recurring-item">
+            <div>
+                <div>${AUDIT_MODE_LABELS[entry.mode] || ''}${escapeHTML(entry.description)}</div>
+                <div class="recurring-meta">For ${formatTaskDate(entry.date)} • changed ${new Date(entry.timestamp).toLocaleString()}</div>
+            </div>
+        </div>
+    `).join('') + (entries.length > AUDIT_LOG_DISPLAY_LIMIT
+        ? `<div class="recurring-meta">${entries.length - AUDIT_LOG_DISPLAY_LIMIT} older entries not shown</div>`
+        : '');
+}
+
+// ENHANCED: Task Details
+// Tasks can carry a checklist of subtasks, free-text notes and links
+// (self-tapes, sides). An unfinished task earns its share of XP for each
+// ticked subtask; completing the task still earns the full amount.
+const TASK_SEARCH_LIMIT = 50;
+
+function getTaskEarnedXP(task) {
+    if (task.completed) return task.xp;
+    // Archived tasks keep the partial XP but not the subtasks behind it
+    if (task.earnedXP) return task.earnedXP;
+    const subtasks = task.subtasks || [];
+    if (subtasks.length === 0) return 0;
+    return Math.floor(task.xp * subtasks.filter(subtask => subtask.done).length / subtasks.length);
+}
+
+// One subtask per line; lines that match an existing subtask keep its id and tick
+function parseSubtaskLines(text, existing = []) {
+    const now = Date.now();
+    return text.split('\n').map(line => line.trim()).filter(Boolean).map((line, index) => {
+        const match = existing.find(subtask => subtask.text === line);
+        return match ? { ...match } : { id: now + index, text: line, done: false };
+    });
+}
+
+// "Label | https://..." or a bare URL per line; only http(s) links are kept
+function parseTaskLinks(text) {
+    const links = [];
+    for (const line of text.split('\n').map(value => value.trim()).filter(Boolean)) {
+        const separator = line.lastIndexOf('|');
+        const label = separator === -1 ? '' : line.slice(0, separator).trim();
+        const url = (separator === -1 ? line : line.slice(separator + 1)).trim();
+        if (!isWebLink(url)) return null;
+        links.push({ label: label || url, url });
+    }
+    return links;
+}
+
+function isWebLink(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+function formatTaskLinks(links = []) {
+    return links.map(link => (link.label === link.url ? link.url : `${link.label} | ${link.url}`)).join('\n');
+}
+
+// Ticking the last subtask completes the task; unticking one reopens it
+function toggleSubtask(taskId, subtaskId) {
+    const date = getViewedDate();
+    const data = safeLocalStorageGet(`mastery_${date}`, {});
+    const task = (data.tasks || []).find(t => t.id === taskId);
+    if (!task || !task.subtasks) return;
+    
+    // Ticking the last open step completes the task; a tick never reopens one
+    const subtasks = task.subtasks.map(subtask => (subtask.id === subtaskId ? { ...subtask, done: !subtask.done } : subtask));
+    executeAction(new TaskAction('edit', date, {
+        taskId,
+        before: { subtasks: task.subtasks, completed: task.completed },
+        after: { subtasks, completed: task.completed || subtasks.every(subtask => subtask.done) }
+    }));
+}
+
+function renderTaskDetails(task) {
+    let html = '';
+    
+    if (task.subtasks && task.subtasks.length > 0) {
+        html += `<div class="task-subtasks">${task.subtasks.map(subtask => `
+            <div class="task-subtask ${subtask.done ? 'done' : ''}" onclick="toggleSubtask(${task.id}, ${subtask.id})">
+                <span>${subtask.done ? '☑️' : '⬜'}</span> ${escapeHTML(subtask.text)}
+            </div>
+        `).join('')}</div>`;
+    }
+    if (task.notes) {
+        html += `<div class="task-notes">${escapeHTML(task.notes)}</div>`;
+    }
+    if (task.links && task.links.length > 0) {
+        html += `<div class="task-links">${task.links.filter(link => isWebLink(link.url)).map(link => `
+            <a href="${escapeHTML(link.url)}" target="_blank" rel="noopener noreferrer">🔗 ${escapeHTML(link.label)}</a>
+        `).join('')}</div>`;
+    }
+    return html;
+}
+
+function taskMatchesQuery(task, query) {
+    const fields = [task.text, task.notes || ''];
+    (task.subtasks || []).forEach(subtask => fields.push(subtask.text));
+    (task.links || []).forEach(link => fields.push(link.label, link.url));
+    return fields.some(field => field.toLowerCase().includes(query));
+}
+
+// Searches every live day record and the task text kept in archives
+function searchTasks(query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return [];
+    const results = [];
+    
+    StorageEngine.keys('mastery_').filter(isDayRecordKey).forEach(key => {
+        const date = key.replace('mastery_', '');
+        (safeLocalStorageGet(key, {}).tasks || []).forEach(task => {
+            if (taskMatchesQuery(task, needle)) results.push({ date, task });
+        });
+    });
+    StorageEngine.keys('mastery_archive_').forEach(key => {
+        const archive = safeLocalStorageGet(key, {});
+        Object.keys(archive.days || {}).forEach(date => {
+            archive.days[date].tasks.forEach(([text, category, xp, completed, earnedXP]) => {
+                if (text.toLowerCase().includes(needle)) {
+                    results.push({ date, task: { text, category, xp, completed: !!completed, earnedXP }, archived: true });
+                }
+            });
+        });
+    });
+    
+    return results.sort((a, b) => b.date.localeCompare(a.date));
+}
+
+function runTaskSearch() {
+    const query = document.getElementById('task-search').value;
+    const container = document.getElementById('task-search-results');
+    const results = searchTasks(query);
+    
+    if (!query.trim()) {
+        container.innerHTML = '';
+        return;
+    }
+    if (results.length === 0) {
+        container.innerHTML = '<div class="recurring-meta">No tasks match.</div>';
+        return;
+    }
+    
+    const openable = getBackfillStartDate();
+    container.innerHTML = results.slice(0, TASK_SEARCH_LIMIT).map(({ date, task, archived }) => `
+        <div class="recurring-item" ${!archived && date >= openable && date <= getToday() ? `onclick="openDay('${date}')" style="cursor: pointer;"` : ''}>
+            <div>
+                <div>${task.completed ? '✅' : '⬜'} ${escapeHTML(getCategoryInfo(task.category).icon)} ${escapeHTML(task.text)}</div>
+                <div class="recurring-meta">${formatTaskDate(date)} • ${getTaskEarnedXP(task)}/${task.xp} XP${archived ? ' • archived' : ''}</div>
+            </div>
+        </div>
+    `).join('') + (results.length > TASK_SEARCH_LIMIT
+        ? `<div class="recurring-meta">${results.length - TASK_SEARCH_LIMIT} more matches not shown</div>`
+        : '');
+}
+
+// ENHANCED: Focus Timer
+// A running session is stored as its start time and planned length, so it
+// keeps counting through reloads and backgrounded tabs. When it runs out (or
+// is stopped early) the real duration is logged as an activity for the day
+// the session started, earning XP through the category's minutes rule.
+const FOCUS_SESSION_KEY = 'focus_session';
+const FOCUS_HISTORY_DAYS = 14;
+const FOCUS_HISTORY_LIMIT = 5;
+let focusTimerInterval = null;
+let focusBaseTitle = null;
+
+function getFocusSession() {
+    return safeLocalStorageGet(FOCUS_SESSION_KEY, null);
+}
+
+// Timed categories: a minutes rule, or a fixed XP for the whole session
+function isFocusCategory(category) {
+    return !category.rule || category.rule.unit === 'minutes';
+}
+
+function getFocusElapsedMinutes(session, now = Date.now()) {
+    const elapsed = (now - new Date(session.startedAt).getTime()) / 60000;
+    return Math.min(Math.max(elapsed, 0), session.minutes);
+}
+
+function getTimedSessionXP(session, minutes) {
+    const info = getCategoryInfo(session.category);
+    if (info.rule) return calculateRuleXP(info.rule, minutes);
+    return Math.floor(info.xp * minutes / session.minutes);
+}
+
+function populateFocusCategoryOptions() {
+    const select = document.getElementById('focus-category');
+    const selected = select.value;
+    
+    select.innerHTML = DomainConfig.getDomains().map(domain => {
+        const categories = DomainConfig.getCategories(domain.id).filter(isFocusCategory);
+        if (categories.length === 0) return '';
+        return `<optgroup label="${escapeHTML(domain.name)}">${categories.map(category => `
+            <option value="${category.id}">${escapeHTML(category.icon)} ${escapeHTML(category.name)}</option>
+        `).join('')}</optgroup>`;
+    }).join('');
+    if (selected && select.querySelector(`option[value="${selected}"]`)) select.value = selected;
+}
+
+function startFocusSession() {
+    if (getFocusSession()) {
+        alert('A focus session is already running');
+        return;
+    }
+    
+    const category = document.getElementById('focus-category').value;
+    const minutes = parseInt(document.getElementById('focus-minutes').value, 10);
+    if (!category || !(minutes > 0)) return;
+    
+    safeLocalStorageSet(FOCUS_SESSION_KEY, {
+        category,
+        domain: getCategoryInfo(category).domain,
+        date: getToday(),
+        minutes,
+        startedAt: new Date().toISOString()
+    });
+    resumeFocusSession();
+}
+
+function initFocusTimer() {
+    // Background tabs throttle timers, so catch up as soon as the tab is visible again
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden && getFocusSession()) tickFocusSession();
+    });
+    resumeFocusSession();
+}
+
+// Picks up a stored session after a reload; one that ran out meanwhile is logged
+function resumeFocusSession() {
+    clearInterval(focusTimerInterval);
+    focusTimerInterval = null;
+    
+    if (getFocusSession()) {
+        focusTimerInterval = setInterval(tickFocusSession, 1000);
+        tickFocusSession();
+    } else {
+        renderFocusTimer();
+    }
+}
+
+function tickFocusSession() {
+    const session = getFocusSession();
+    if (!session) {
+        resumeFocusSession();
+        return;
+    }
+    
+    if (getFocusElapsedMinutes(session) >= session.minutes) {
+        const xp = completeFocusSession(session, session.minutes);
+        alert(`⏱️ Focus session complete!\n\n${session.minutes} minutes of ${getCategoryInfo(session.category).name} logged for ${xp} XP.`);
+        return;
+    }
+    renderFocusTimer();
+}
+
+// Logs a timed session ({ category, domain, date, minutes, startedAt }) as an activity
+function logTimedSession(session, minutes, source, details = {}) {
+    const roundedMinutes = Math.round(minutes);
+    const xp = getTimedSessionXP(session, roundedMinutes);
+    
+    executeAction(new DomainXPAction(session.date, session.domain, {
+        id: Date.now(),
+        category: session.category,
+        xp,
+        timestamp: new Date().toISOString(),
+        description: details.description || `${getCategoryInfo(session.category).name} session`,
+        source,
+        quantity: roundedMinutes,
+        unit: 'minutes',
+        startedAt: session.startedAt,
+        ...(details.notes ? { notes: details.notes } : {})
+    }));
+    return xp;
+}
+
+function completeFocusSession(session, minutes) {
+    StorageEngine.removeItem(FOCUS_SESSION_KEY);
+    const xp = logTimedSession(session, minutes, 'focus', {
+        description: `${getCategoryInfo(session.category).name} focus session`
+    });
+    resumeFocusSession();
+    return xp;
+}
+
+function finishFocusSession() {
+    const session = getFocusSession();
+    if (!session) return;
+    
+    const minutes = Math.round(getFocusElapsedMinutes(session));
+    if (getTimedSessionXP(session, minutes) <= 0) {
+        if (confirm(`Only ${minutes} minutes so far, too short to earn XP. Discard this session?`)) {
+            cancelFocusSession(true);
+        }
+        return;
+    }
+    
+    const xp = completeFocusSession(session, minutes);
+    alert(`✅ ${minutes} minutes of ${getCategoryInfo(session.category).name} logged for ${xp} XP.`);
+}
+
+function cancelFocusSession(confirmed = false) {
+    if (!getFocusSession()) return;
+    if (!confirmed && !confirm('Discard this focus session without logging it?')) return;
+    
+    StorageEngine.removeItem(FOCUS_SESSION_KEY);
+    resumeFocusSession();
+}
+
+function formatFocusClock(minutes) {
+    const seconds = Math.max(Math.ceil(minutes * 60), 0);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function renderFocusTimer() {
+    const session = getFocusSession();
+    if (focusBaseTitle === null) focusBaseTitle = document.title;
+    
+    document.getElementById('focus-setup').style.display = session ? 'none' : 'block';
+    document.getElementById('focus-active').style.display = session ? 'block' : 'none';
+    
+    if (!session) {
+        document.title = focusBaseTitle;
+        return;
+    }
+    
+    const info = getCategoryInfo(session.category);
+    const elapsed = getFocusElapsedMinutes(session);
+    const remaining = formatFocusClock(session.minutes - elapsed);
+    
+    document.getElementById('focus-label').textContent = `${info.icon} ${info.name} • ${session.minutes} min session • ${getTimedSessionXP(session, Math.round(elapsed))} XP so far`;
+    document.getElementById('focus-clock').textContent = remaining;
+    document.getElementById('focus-fill').style.width = `${(elapsed / session.minutes) * 100}%`;
+    document.title = `⏱️ ${remaining} • ${focusBaseTitle}`;
+}
+
+// Sessions of the last FOCUS_HISTORY_DAYS days, grouped by domain
+function renderFocusHistory() {
+    const today = getToday();
+    const byDomain = {};
+    
+    getDayRecordsInRange(DateService.addDays(today, -(FOCUS_HISTORY_DAYS - 1)), today).forEach(({ date, data }) => {
+        Object.keys(data.domains || {}).forEach(domain => {
+            (data.domains[domain].activities || []).filter(activity => activity.source === 'focus').forEach(activity => {
+                (byDomain[domain] = byDomain[domain] || []).push({ date, activity });
+            });
+        });
+    });
+    
+    const domainIds = getDomainIds();
+    Object.keys(byDomain).forEach(id => {
+        if (!domainIds.includes(id)) domainIds.push(id);
+    });
+    const html = domainIds.filter(id => byDomain[id]).map(id => {
+        const domain = getDomainInfo(id);
+        const sessions = byDomain[id].sort((a, b) => b.activity.timestamp.localeCompare(a.activity.timestamp));
+        const minutes = sessions.reduce((sum, session) => sum + (session.activity.quantity || 0), 0);
+        const xp = sessions.reduce((sum, session) => sum + session.activity.xp, 0);
+        
+        return `
+            <div class="recurring-list">
+                <div class="recurring-title">${escapeHTML(domain.icon)} ${escapeHTML(domain.name)}
+                    <span class="recurring-meta">${sessions.length} session${sessions.length === 1 ? '' : 's'} • ${minutes} min • ${xp} XP</span>
+                </div>
+                ${sessions.slice(0, FOCUS_HISTORY_LIMIT).map(({ date, activity }) => `
+                    <div class="recurring-item">
+                        <div>
+                            <div>${escapeHTML(getCategoryInfo(activity.category).icon)} ${escapeHTML(getCategoryInfo(activity.category).name)} • ${activity.quantity} min</div>
+                            <div class="recurring-meta">${formatTaskDate(date)}</div>
+                        </div>
+                        <div class="activity-log-xp">+${activity.xp} XP</div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }).join('');
+    
+    document.getElementById('focus-history').innerHTML = html ||
+        `<div class="recurring-meta">No focus sessions in the last ${FOCUS_HISTORY_DAYS} days.</div>`;
+}
+
+// ENHANCED: Guided Sessions
+// Breathwork patterns and a visualization script built from the Definite
+// Chief Aim, paced by WebAudio bells. A session is a list of timed steps
+// (breath patterns repeat theirs); when it ends, the real duration is logged
+// as a breathwork or visualization activity through logTimedSession. Like the
+// focus timer, a running session is stored so it survives a reload.
+const GUIDED_SETTINGS_KEY = 'guided_sessions';
+const GUIDED_SESSION_KEY = 'guided_session';
+const GUIDED_TICK_MS = 250;
+const BREATH_PHASES = {
+    inhale: { label: 'Breathe in', scale: 1 },
+    hold: { label: 'Hold', scale: null },
+    exhale: { label: 'Breathe out', scale: 0.5 }
+};
+const BUILT_IN_BREATH_PATTERNS = [
+    { id: 'box', name: 'Box breathing', phases: [['inhale', 4], ['hold', 4], ['exhale', 4], ['hold', 4]] },
+    { id: '4-7-8', name: '4-7-8 relaxing breath', phases: [['inhale', 4], ['hold', 7], ['exhale', 8]] },
+    { id: 'coherent', name: 'Coherent breathing', phases: [['inhale', 5], ['exhale', 5]] }
+];
+const DEFAULT_GUIDED_SETTINGS = { patterns: [], bellInterval: 0, phaseCues: true };
+let guidedSession = null;
+let guidedTimerInterval = null;
+let guidedAudioContext = null;
+
+function getGuidedSettings() {
+    return { ...DEFAULT_GUIDED_SETTINGS, ...safeLocalStorageGet(GUIDED_SETTINGS_KEY, {}) };
+}
+
+function updateGuidedSettings(changes) {
+    safeLocalStorageSet(GUIDED_SETTINGS_KEY, { ...getGuidedSettings(), ...changes });
+}
+
+function getBreathPatterns() {
+    return [...BUILT_IN_BREATH_PATTERNS, ...getGuidedSettings().patterns];
+}
+
+function formatBreathPattern(pattern) {
+    return pattern.phases.map(([kind, seconds]) => `${kind} ${seconds}`).join(', ');
+}
+
+// "inhale 4, hold 7, exhale 8": phases in order, 1-60 seconds each
+function parseBreathPhases(text) {
+    const phases = text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const match = part.match(/^(inhale|hold|exhale)\s+(\d+)$/i);
+        return match ? [match[1].toLowerCase(), parseInt(match[2], 10)] : null;
+    });
+    if (phases.length === 0 || phases.some(phase => !phase || phase[1] < 1 || phase[1] > 60)) return null;
+    if (!phases.some(([kind]) => kind === 'inhale') || !phases.some(([kind]) => kind === 'exhale')) return null;
+    return phases;
+}
+
+function addBreathPattern() {
+    const name = prompt('Pattern name:');
+    if (!name || !name.trim()) return;
+    
+    const phasesText = prompt('Phases with seconds, in order (e.g. "inhale 4, hold 4, exhale 6"):', 'inhale 4, hold 4, exhale 6');
+    if (phasesText === null) return;
+    const phases = parseBreathPhases(phasesText);
+    if (!phases) {
+        alert('Use inhale, hold and exhale with 1-60 seconds each, separated by commas. A pattern needs at least one inhale and one exhale.');
+        return;
+    }
+    
+    const settings = getGuidedSettings();
+    const id = `custom-${slugifyConfigId(name, getBreathPatterns().map(pattern => pattern.id.replace(/^custom-/, '')))}`;
+    updateGuidedSettings({ patterns: [...settings.patterns, { id, name: name.trim(), phases }] });
+    renderGuidedSessions();
+    document.getElementById('guided-program').value = `breath:${id}`;
+}
+
+function deleteBreathPattern(patternId) {
+    const pattern = getGuidedSettings().patterns.find(p => p.id === patternId);
+    if (!pattern || !confirm(`Delete the "${pattern.name}" pattern?`)) return;
+    
+    updateGuidedSettings({ patterns: getGuidedSettings().patterns.filter(p => p.id !== patternId) });
+    renderGuidedSessions();
+}
+
+function setGuidedBellInterval(minutes) {
+    updateGuidedSettings({ bellInterval: parseInt(minutes, 10) || 0 });
+}
+
+function setGuidedPhaseCues(enabled) {
+    updateGuidedSettings({ phaseCues: enabled });
+}
+
+// Sentences of the Chief Aim, each held in mind for an equal share of the session
+function buildVisualizationScript(totalSeconds) {
+    const goalPath = safeLocalStorageGet('mastery_goal_path', {});
+    const sentences = (goalPath.ultimateAim || '').split(/(?<=[.!?])\s+|\n+/).map(line => line.trim()).filter(Boolean);
+    const lines = sentences.length > 0
+        ? sentences.map(sentence => `See it as already done: ${sentence}`)
+        : ['See yourself on set, prepared and at ease.', 'Hear the call: "You booked it."', 'Feel what it is like to live that life.'];
+    
+    const settle = Math.round(totalSeconds * 0.1);
+    const close = Math.round(totalSeconds * 0.1);
+    const each = (totalSeconds - settle - close) / lines.length;
+    
+    return [
+        { label: 'Settle', text: 'Close your eyes and let your breath slow down.', seconds: settle },
+        ...lines.map((text, index) => ({ label: `Chief Aim ${index + 1}/${lines.length}`, text, seconds: each })),
+        { label: 'Return', text: 'Feel the gratitude of having it. Open your eyes when you are ready.', seconds: close }
+    ];
+}
+
+// Step at a point in the session; breath patterns loop over their phases
+function getGuidedStep(session, elapsedSeconds) {
+    const cycleLength = session.steps.reduce((sum, step) => sum + step.seconds, 0);
+    let position = session.repeat ? elapsedSeconds % cycleLength : Math.min(elapsedSeconds, cycleLength);
+    const round = session.repeat ? Math.floor(elapsedSeconds / cycleLength) : 0;
+    
+    for (let index = 0; index < session.steps.length; index++) {
+        const step = session.steps[index];
+        if (position < step.seconds || index === session.steps.length - 1) {
+            return { index: round * session.steps.length + index, step, remaining: step.seconds - position };
+        }
+        position -= step.seconds;
+    }
+    return null;
+}
+
+// A bell: a decaying fundamental with two inharmonic partials
+function playBell(frequency = 440, seconds = 3, volume = 0.3) {
+    if (!guidedAudioContext) return;
+    const now = guidedAudioContext.currentTime;
+    
+    [1, 2.76, 5.4].forEach((ratio, index) => {
+        const oscillator = guidedAudioContext.createOscillator();
+        const gain = guidedAudioContext.createGain();
+        const decay = seconds / (index + 1);
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency * ratio;
+        gain.gain.setValueAtTime(0.0001, now);
+        gain.gain.exponentialRampToValueAtTime(volume / (index + 1), now + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, now + decay);
+        oscillator.connect(gain);
+        gain.connect(guidedAudioContext.destination);
+        oscillator.start(now);
+        oscillator.stop(now + decay);
+    });
+}
+
+// Browsers only allow audio to start from a user gesture, so this runs on Begin
+function unlockGuidedAudio() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    if (!guidedAudioContext) guidedAudioContext = new AudioContextClass();
+    if (guidedAudioContext.state === 'suspended') guidedAudioContext.resume();
+}
+
+function startGuidedSession() {
+    if (guidedSession) return;
+    
+    const [type, patternId] = document.getElementById('guided-program').value.split(':');
+    const minutes = parseInt(document.getElementById('guided-minutes').value, 10);
+    const category = type === 'breath' ? 'breathwork' : 'visualization';
+    const pattern = getBreathPatterns().find(p => p.id === patternId);
+    if (!(minutes > 0) || (type === 'breath' && !pattern)) return;
+    
+    guidedSession = {
+        category,
+        domain: getCategoryInfo(category).domain,
+        date: getToday(),
+        minutes,
+        startedAt: new Date().toISOString(),
+        name: type === 'breath' ? pattern.name : 'Chief Aim visualization',
+        repeat: type === 'breath',
+        steps: type === 'breath'
+            ? pattern.phases.map(([kind, seconds]) => ({ kind, label: BREATH_PHASES[kind].label, text: '', seconds }))
+            : buildVisualizationScript(minutes * 60),
+        lastStep: -1,
+        lastBell: 0
+    };
+    safeLocalStorageSet(GUIDED_SESSION_KEY, guidedSession);
+    
+    unlockGuidedAudio();
+    playBell(440, 4);
+    guidedTimerInterval = setInterval(tickGuidedSession, GUIDED_TICK_MS);
+    tickGuidedSession();
+}
+
+// The steps are replayed from startedAt, so the first tick lands on whichever
+// phase or script line is due now, or ends and logs a session that is over
+function resumeGuidedSession() {
+    const session = safeLocalStorageGet(GUIDED_SESSION_KEY, null);
+    if (!session || guidedSession) return;
+    
+    // Bells that fell due while the app was closed are not rung late
+    const elapsed = (Date.now() - new Date(session.startedAt).getTime()) / 1000;
+    const bellInterval = getGuidedSettings().bellInterval;
+    guidedSession = {
+        ...session,
+        lastStep: -1,
+        lastBell: bellInterval > 0 ? Math.floor(elapsed / (bellInterval * 60)) : 0
+    };
+    
+    // Audio can only restart after the next tap
+    document.addEventListener('click', unlockGuidedAudio, { once: true });
+    guidedTimerInterval = setInterval(tickGuidedSession, GUIDED_TICK_MS);
+    tickGuidedSession();
+    renderGuidedSessions();
+}
+
+function tickGuidedSession() {
+    if (!guidedSession) return;
+    const session = guidedSession;
+    const elapsed = (Date.now() - new Date(session.startedAt).getTime()) / 1000;
+    
+    if (elapsed >= session.minutes * 60) {
+        const xp = endGuidedSession(session.minutes);
+        alert(`🔔 ${session.name} complete!\n\n${session.minutes} minutes logged for ${xp} XP.`);
+        return;
+    }
+    
+    const settings = getGuidedSettings();
+    const current = getGuidedStep(session, elapsed);
+    if (current.index !== session.lastStep) {
+        if (session.lastStep !== -1 && (settings.phaseCues || !session.repeat)) {
+            playBell(session.repeat ? 660 : 528, 1, 0.1);
+        }
+        session.lastStep = current.index;
+        renderGuidedStep(current);
+    }
+    
+    const bell = settings.bellInterval > 0 ? Math.floor(elapsed / (settings.bellInterval * 60)) : 0;
+    if (bell > session.lastBell) {
+        playBell(392, 3, 0.2);
+        session.lastBell = bell;
+    }
+    
+    document.getElementById('guided-countdown').textContent = session.repeat ? String(Math.ceil(current.remaining)) : '';
+    document.getElementById('guided-clock').textContent = formatFocusClock(session.minutes - elapsed / 60);
+    document.getElementById('guided-fill').style.width = `${(elapsed / (session.minutes * 60)) * 100}%`;
+}
+
+function renderGuidedStep({ step, remaining }) {
+    document.getElementById('guided-phase').textContent = step.label;
+    document.getElementById('guided-text').textContent = step.text;
+    
+    // The orb grows on the in-breath and shrinks on the out-breath
+    const orb = document.getElementById('guided-orb');
+    orb.style.display = guidedSession.repeat ? 'block' : 'none';
+    const scale = step.kind ? BREATH_PHASES[step.kind].scale : null;
+    if (scale !== null) {
+        orb.style.transition = `transform ${remaining}s linear`;
+        orb.style.transform = `scale(${scale})`;
+    }
+}
+
+function stopGuidedTimer() {
+    clearInterval(guidedTimerInterval);
+    guidedTimerInterval = null;
+    guidedSession = null;
+    StorageEngine.removeItem(GUIDED_SESSION_KEY);
+    renderGuidedSessions();
+}
+
+function endGuidedSession(minutes) {
+    const session = guidedSession;
+    stopGuidedTimer();
+    playBell(440, 5);
+    return logTimedSession(session, minutes, 'guided', { description: session.name, notes: session.name });
+}
+
+function finishGuidedSession() {
+    if (!guidedSession) return;
+    
+    const minutes = Math.round((Date.now() - new Date(guidedSession.startedAt).getTime()) / 60000);
+    if (getTimedSessionXP(guidedSession, minutes) <= 0) {
+        if (confirm(`Only ${minutes} minutes so far, too short to earn XP. Discard this session?`)) {
+            stopGuidedTimer();
+        }
+        return;
+    }
+    
+    const name = guidedSession.name;
+    const xp = endGuidedSession(minutes);
+    alert(`✅ ${minutes} minutes of ${name} logged for ${xp} XP.`);
+}
+
+function cancelGuidedSession() {
+    if (guidedSession && confirm('Discard this session without logging it?')) {
+        stopGuidedTimer();
+    }
+}
+
+function renderGuidedSessions() {
+    const settings = getGuidedSettings();
+    const activeIds = DomainConfig.getCategories().map(category => category.id);
+    const breathwork = activeIds.includes('breathwork');
+    const visualization = activeIds.includes('visualization');
+    const available = breathwork || visualization;
+    const program = document.getElementById('guided-program');
+    const selected = program.value;
+    
+    document.getElementById('guided-setup').style.display = guidedSession || !available ? 'none' : 'block';
+    document.getElementById('guided-active').style.display = guidedSession ? 'block' : 'none';
+    document.getElementById('guided-unavailable').style.display = available ? 'none' : 'block';
+    
+    program.innerHTML = (breathwork ? `<optgroup label="Breathwork">${getBreathPatterns().map(pattern => `
+        <option value="breath:${pattern.id}">🌬️ ${escapeHTML(pattern.name)}</option>
+    `).join('')}</optgroup>` : '') + (visualization ? `<optgroup label="Visualization">
+        <option value="visualize:chief-aim">👁️ Definite Chief Aim</option>
+    </optgroup>` : '');
+    if (selected && program.querySelector(`option[value="${selected}"]`)) program.value = selected;
+    
+    document.getElementById('guided-bell-interval').value = String(settings.bellInterval);
+    document.getElementById('guided-phase-cues').checked = settings.phaseCues;
+    document.getElementById('guided-patterns').innerHTML = getBreathPatterns().map(pattern => `
+        <div class="recurring-item">
+            <div>
+                <div>🌬️ ${escapeHTML(pattern.name)}</div>
+                <div class="recurring-meta">${escapeHTML(formatBreathPattern(pattern))}</div>
+            </div>
+            ${pattern.id.startsWith('custom-') ? `<button class="task-action-btn delete" onclick="deleteBreathPattern('${pattern.id}')">🗑️</button>` : ''}
+        </div>
+    `).join('');
+}
+
+// ENHANCED: Year Heatmap
+// Calendar of a whole year, one column per Sunday-start week. Cells shade by
+// total XP or one domain's XP against its target, or show the streak status
+// of the day. Colours are resolved to concrete values so the PNG export
+// matches the screen; tapping a cell opens a read-only summary of the day.
+const HEATMAP_CELL = 12;
+const HEATMAP_GAP = 3;
+const HEATMAP_LEVEL_THRESHOLDS = [0.3, 0.6, 1]; // Share of target for levels 2-4
+const HEATMAP_LEVEL_ALPHAS = [0.08, 0.3, 0.5, 0.75, 1];
+const HEATMAP_STREAK_STATUSES = {
+    met: { label: 'Met', color: 'var(--system-green)' },
+    frozen: { label: 'Frozen', color: 'var(--system-blue)' },
+    rest: { label: 'Rest', color: 'var(--system-gray2)' },
+    travel: { label: 'Travel', color: 'var(--system-gray2)' },
+    missed: { label: 'Missed', color: 'var(--system-red)' },
+    pending: { label: 'Today', color: 'var(--system-gray4)' }
+};
+const HEATMAP_EMPTY_COLOR = 'rgba(255,255,255,0.05)';
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Resolver from "var(--system-green)" or "#34C759" to an rgba() string the
+// canvas can use. Theme variables are read once per resolver, so create one
+// per render rather than per cell.
+function createHeatmapColorResolver() {
+    const styles = getComputedStyle(document.documentElement);
+    const variables = new Map();
+    
+    return (color, alpha = 1) => {
+        const match = color.match(/^var\((--[\w-]+)\)$/);
+        if (match && !variables.has(match[1])) {
+            variables.set(match[1], styles.getPropertyValue(match[1]).trim());
+        }
+        const value = match ? variables.get(match[1]) : color;
+        const hex = value.match(/^#([0-9a-f]{6})$/i);
+        if (!hex) return value || HEATMAP_EMPTY_COLOR;
+        const channels = [0, 2, 4].map(offset => parseInt(hex[1].slice(offset, offset + 2), 16));
+        return `rgba(${channels.join(',')},${alpha})`;
+    };
+}
+
+function getHeatmapLevel(xp, target) {
+    if (xp <= 0) return 0;
+    const ratio = xp / target;
+    return 1 + HEATMAP_LEVEL_THRESHOLDS.filter(threshold => ratio >= threshold).length;
+}
+
+// { date: { color, label } } for every day of the year up to today
+function buildYearHeatmap(year, metric, resolveColor) {
+    const startDate = `${year}-01-01`;
+    const today = getToday();
+    const endDate = `${year}-12-31` < today ? `${year}-12-31` : today;
+    const cells = {};
+    if (startDate > endDate) return cells;
+    
+    if (metric === 'streak') {
+        calculateStreak(endDate).days.filter(day => day.date >= startDate).forEach(day => {
+            const status = HEATMAP_STREAK_STATUSES[day.status];
+            cells[day.date] = { color: resolveColor(status.color), label: `${status.label} • ${day.xp} XP` };
+        });
+        return cells;
+    }
+    
+    const domainId = metric.startsWith('domain:') ? metric.slice('domain:'.length) : null;
+    const domain = domainId ? getDomainInfo(domainId) : null;
+    const baseColor = domain ? domain.color : 'var(--system-green)';
+    const summary = XPLedger.getRangeSummary(startDate, endDate);
+    
+    for (let date = startDate; date <= endDate; date = DateService.addDays(date, 1)) {
+        const day = summary.days[date];
+        const xp = day ? (domainId ? day.domains[domainId] || 0 : day.total) : 0;
+        const target = domain ? domain.target : getIntensityForDate(date).xp;
+        const level = getHeatmapLevel(xp, target);
+        cells[date] = {
+            color: level === 0 ? HEATMAP_EMPTY_COLOR : resolveColor(baseColor, HEATMAP_LEVEL_ALPHAS[level]),
+            label: `${xp}/${target} XP`
+        };
+    }
+    return cells;
+}
+
+// Column and row of each date, with weeks starting on Sunday
+function getHeatmapLayout(year) {
+    const startDate = `${year}-01-01`;
+    const offset = DateService.getDayOfWeek(startDate);
+    const positions = [];
+    
+    for (let date = startDate; date <= `${year}-12-31`; date = DateService.addDays(date, 1)) {
+        const index = DateService.getDaysBetween(startDate, date) + offset;
+        positions.push({ date, column: Math.floor(index / 7), row: index % 7 });
+    }
+    return positions;
+}
+
+function getHeatmapSelection() {
+    const yearSelect = document.getElementById('year-heatmap-year');
+    const metricSelect = document.getElementById('year-heatmap-metric');
+    const currentYear = parseInt(getToday().slice(0, 4), 10);
+    const firstDate = getFirstRecordedDate();
+    const firstYear = firstDate ? Math.min(parseInt(firstDate.slice(0, 4), 10), currentYear) : currentYear;
+    const selectedYear = yearSelect.value || String(currentYear);
+    const selectedMetric = metricSelect.value || 'total';
+    
+    const years = [];
+    for (let year = currentYear; year >= firstYear; year--) years.push(year);
+    yearSelect.innerHTML = years.map(year => `<option value="${year}">${year}</option>`).join('');
+    yearSelect.value = years.includes(parseInt(selectedYear, 10)) ? selectedYear : String(currentYear);
+    
+    metricSelect.innerHTML = [
+        '<option value="total">Total XP</option>',
+        ...DomainConfig.getDomains().map(domain => `<option value="domain:${domain.id}">${escapeHTML(domain.icon)} ${escapeHTML(domain.name)} XP</option>`),
+        '<option value="streak">Streak validity</option>'
+    ].join('');
+    metricSelect.value = metricSelect.querySelector(`option[value="${selectedMetric}"]`) ? selectedMetric : 'total';
+    
+    return { year: parseInt(yearSelect.value, 10), metric: metricSelect.value };
+}
+
+function getHeatmapLegend(metric, resolveColor) {
+    if (metric === 'streak') {
+        return ['met', 'frozen', 'rest', 'missed'].map(status => ({
+            label: HEATMAP_STREAK_STATUSES[status].label,
+            color: resolveColor(HEATMAP_STREAK_STATUSES[status].color)
+        }));
+    }
+    const baseColor = metric.startsWith('domain:') ? getDomainInfo(metric.slice('domain:'.length)).color : 'var(--system-green)';
+    return HEATMAP_LEVEL_ALPHAS.map((alpha, level) => ({
+        label: ['None', '<30%', '<60%', '<100%', 'Target'][level],
+        color: level === 0 ? HEATMAP_EMPTY_COLOR : resolveColor(baseColor, alpha)
+    }));
+}
+
+let renderedHeatmapHTML = null;
+
+function renderYearHeatmap() {
+    const { year, metric } = getHeatmapSelection();
+    const resolveColor = createHeatmapColorResolver();
+    const cells = buildYearHeatmap(year, metric, resolveColor);
+    const layout = getHeatmapLayout(year);
+    const columns = layout[layout.length - 1].column + 1;
+    const monthStarts = layout.filter(position => position.date.endsWith('-01'));
+    
+    const html = `
+        <div class="year-heatmap-months" style="grid-template-columns: repeat(${columns}, ${HEATMAP_CELL}px);">
+            ${monthStarts.map(position => `<span style="grid-column: ${position.column + 1};">${MONTH_NAMES[parseInt(position.date.slice(5, 7), 10) - 1]}</span>`).join('')}
+        </div>
+        <div class="year-heatmap-grid" style="grid-template-columns: repeat(${columns}, ${HEATMAP_CELL}px);">
+            ${layout.map(({ date, column, row }) => {
+                const cell = cells[date];
+                const style = `grid-column: ${column + 1}; grid-row: ${row + 1};${cell ? ` background: ${cell.color};` : ''}`;
+                return cell
+                    ? `<div class="year-heat-cell" style="${style}" title="${formatStreakDate(date)}: ${cell.label}" onclick="openDayDetail('${date}')"></div>`
+                    : `<div class="year-heat-cell future" style="${style}"></div>`;
+            }).join('')}
+        </div>
+    `;
+    // Most refreshes leave the year unchanged; rebuilding 365 cells is the slow part
+    if (html === renderedHeatmapHTML) return;
+    renderedHeatmapHTML = html;
+    document.getElementById('year-heatmap').innerHTML = html;
+    
+    document.getElementById('year-heatmap-legend').innerHTML = getHeatmapLegend(metric, resolveColor).map(item => `
+        <span class="year-heatmap-legend-item"><span class="year-heat-cell" style="background: ${item.color};"></span>${item.label}</span>
+    `).join('');
+}
+
+function exportYearHeatmapImage() {
+    const { year, metric } = getHeatmapSelection();
+    const resolveColor = createHeatmapColorResolver();
+    const cells = buildYearHeatmap(year, metric, resolveColor);
+    const layout = getHeatmapLayout(year);
+    const columns = layout[layout.length - 1].column + 1;
+    const step = HEATMAP_CELL + HEATMAP_GAP;
+    const padding = 20;
+    const gridTop = padding + 44;
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = padding * 2 + columns * step;
+    canvas.height = gridTop + 7 * step + 40;
+    const context = canvas.getContext('2d');
+    if (!context || !canvas.toBlob) {
+        alert('❌ This browser cannot create images.');
+        return;
+    }
+    
+    const metricSelect = document.getElementById('year-heatmap-metric');
+    context.fillStyle = resolveColor('var(--system-gray6)');
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = '#FFFFFF';
+    context.font = '600 16px -apple-system, sans-serif';
+    context.fillText(`${year} • ${metricSelect.options[metricSelect.selectedIndex].text}`, padding, padding + 12);
+    
+    context.font = '11px -apple-system, sans-serif';
+    context.fillStyle = resolveColor('var(--system-gray1)');
+    layout.filter(position => position.date.endsWith('-01')).forEach(position => {
+        context.fillText(MONTH_NAMES[parseInt(position.date.slice(5, 7), 10) - 1], padding + position.column * step, gridTop - 8);
+    });
+    
+    layout.forEach(({ date, column, row }) => {
+        context.fillStyle = cells[date] ? cells[date].color : 'rgba(255,255,255,0.02)';
+        context.fillRect(padding + column * step, gridTop + row * step, HEATMAP_CELL, HEATMAP_CELL);
+    });
+    
+    let legendX = padding;
+    const legendY = gridTop + 7 * step + 12;
+    getHeatmapLegend(metric, resolveColor).forEach(item => {
+        context.fillStyle = item.color;
+        context.fillRect(legendX, legendY, HEATMAP_CELL, HEATMAP_CELL);
+        context.fillStyle = resolveColor('var(--system-gray1)');
+        context.fillText(item.label, legendX + step, legendY + 10);
+        legendX += step + context.measureText(item.label).width + 12;
+    });
+    
+    canvas.toBlob(blob => {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${getExportFilePrefix()}_heatmap_${year}_${metric.replace(':', '-')}.png`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }, 'image/png');
+}
+
+// Read-only summary of any recorded day, live or archived
+function openDayDetail(date) {
+    const day = getDayRecord(date);
+    const xp = XPLedger.getDaySummary(date);
+    const evaluation = evaluateStreakDay(date);
+    const tasks = day.tasks || [];
+    const activities = [];
+    Object.keys(day.domains || {}).forEach(domain => {
+        (day.domains[domain].activities || []).forEach(activity => activities.push({ domain, activity }));
+    });
+    
+    document.getElementById('day-detail-title').textContent = formatStreakDate(date);
+    document.getElementById('day-detail-body').innerHTML = `
+        <div class="recurring-meta">${xp.total}/${getIntensityForDate(date).xp} XP • Streak: ${(HEATMAP_STREAK_STATUSES[evaluation.status] || { label: evaluation.status }).label}${day.archived ? ' • archived' : ''}</div>
+        
+        <div class="recurring-list">
+            <div class="recurring-title">Tasks</div>
+            ${tasks.length === 0 ? '<div class="recurring-meta">No tasks</div>' : tasks.map(task => `
+                <div class="recurring-item">
+                    <div>
+                        <div>${task.completed ? '✅' : '⬜'} ${escapeHTML(getCategoryInfo(task.category).icon)} ${escapeHTML(task.text)}</div>
+                        ${task.subtasks && task.subtasks.length > 0 ? `<div class="recurring-meta">${task.subtasks.map(subtask => `${subtask.done ? '☑️' : '⬜'} ${escapeHTML(subtask.text)}`).join(' • ')}</div>` : ''}
+                        ${task.notes ? `<div class="recurring-meta">${escapeHTML(task.notes)}</div>` : ''}
+                    </div>
+                    <div class="activity-log-xp">${getTaskEarnedXP(task)}/${task.xp} XP</div>
+                </div>
+            `).join('')}
+        </div>
+        
+        <div class="recurring-list">
+            <div class="recurring-title">Activities</div>
+            ${activities.length === 0 ? '<div class="recurring-meta">No activities</div>' : activities.map(({ domain, activity }) => {
+                const info = getCategoryInfo(activity.category);
+                const details = formatActivityDetails(activity);
+                return `
+                    <div class="recurring-item">
+                        <div>
+                            <div>${escapeHTML(info.icon)} ${escapeHTML(activity.source === 'quick' ? `Quick XP • ${getDomainInfo(domain).name}` : info.name)}</div>
+                            ${details ? `<div class="recurring-meta">${escapeHTML(details)}</div>` : ''}
+                        </div>
+                        <div class="activity-log-xp">+${activity.xp} XP</div>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+        
+        <div class="recurring-list">
+            <div class="recurring-title">Alignment</div>
+            <div class="recurring-meta">${day.alignment ? escapeHTML(day.alignmentReason || 'Aligned') : 'No alignment saved'}</div>
+        </div>
+    `;
+    
+    // Days still inside the backfill window can be opened for editing
+    const openButton = document.getElementById('day-detail-open');
+    openButton.style.display = date >= getBackfillStartDate() && date <= getToday() ? 'inline-block' : 'none';
+    openButton.onclick = () => {
+        closeDayDetail();
+        openDay(date);
+        document.querySelector('.nav-btn[data-section="today"]').click();
+    };
+    document.getElementById('day-detail-modal').classList.add('active');
+}
+
+function closeDayDetail() {
+    document.getElementById('day-detail-modal').classList.remove('active');
+}
+
+// ENHANCED: Charts
+// Dependency-free SVG charts: line, stacked bar and radar. A chart is drawn
+// at its container's current width and redrawn on resize or when its section
+// is shown. Colours are any CSS value, so var(--system-*) theme colours work.
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 12, right: 12, bottom: 28, left: 40 };
+const CHART_DEFAULT_WIDTH = 600;
+const CHART_GRID_LINES = 4;
+const CHART_LABEL_SPACING = 48;
+const CHART_POINT_LIMIT = 31; // Series longer than this are drawn without point markers
+
+const Charts = {
+    rendered: new Map(),
+    
+    init() {
+        window.addEventListener('resize', debounce(() => this.redraw(), 200));
+    },
+    
+    line(container, options) {
+        this.draw(container, 'line', options);
+    },
+    
+    stackedBar(container, options) {
+        this.draw(container, 'stackedBar', options);
+    },
+    
+    radar(container, options) {
+        this.draw(container, 'radar', options);
+    },
+    
+    redraw() {
+        this.rendered.forEach(({ type, options }, container) => {
+            if (container.isConnected) {
+                this.draw(container, type, options);
+            } else {
+                this.rendered.delete(container);
+            }
+        });
+    },
+    
+    draw(container, type, options) {
+        this.rendered.set(container, { type, options });
+        
+        // Containers in a hidden section measure 0 wide until it is shown
+        const width = container.clientWidth || CHART_DEFAULT_WIDTH;
+        const height = options.height || CHART_HEIGHT;
+        const renderers = { line: renderLineChart, stackedBar: renderStackedBarChart, radar: renderRadarChart };
+        
+        container.innerHTML = `
+            <svg class="chart-svg" viewBox="0 0 ${width} ${height}" width="100%" height="${height}" role="img" aria-label="${escapeHTML(options.title || '')}">
+                ${renderers[type](options, width, height)}
+            </svg>
+            ${renderChartLegend(options.series)}
+        `;
+    }
+};
+
+// Top of the y axis: CHART_GRID_LINES equal steps of a round size (1, 1.5, 2 ... 8 x 10^n)
+function getChartScaleMax(values, integer = false) {
+    const max = Math.max(0, ...values);
+    if (max === 0) return CHART_GRID_LINES;
+    
+    const rawStep = max / CHART_GRID_LINES;
+    const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+    let step = [1, 1.5, 2, 2.5, 3, 4, 5, 6, 8, 10].find(multiple => multiple * magnitude >= rawStep) * magnitude;
+    if (integer) step = Math.max(Math.ceil(step), 1);
+    return step * CHART_GRID_LINES;
+}
+
+function formatChartValue(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+// Grid, y labels and thinned x labels shared by the line and bar charts
+function renderChartAxes(labels, scaleMax, width, height, getX) {
+    const plotBottom = height - CHART_PADDING.bottom;
+    const plotHeight = plotBottom - CHART_PADDING.top;
+    const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+    let svg = '';
+    
+    for (let line = 0; line <= CHART_GRID_LINES; line++) {
+        const y = plotBottom - (line / CHART_GRID_LINES) * plotHeight;
+        svg += `<line class="chart-grid" x1="${CHART_PADDING.left}" x2="${width - CHART_PADDING.right}" y1="${y}" y2="${y}"/>`;
+        svg += `<text class="chart-label" x="${CHART_PADDING.left - 6}" y="${y + 4}" text-anchor="end">${formatChartValue(scaleMax * line / CHART_GRID_LINES)}</text>`;
+    }
+    
+    const every = Math.max(1, Math.ceil(labels.length / Math.max(1, Math.floor(plotWidth / CHART_LABEL_SPACING))));
+    labels.forEach((label, index) => {
+        if (index % every !== 0) return;
+        svg += `<text class="chart-label" x="${getX(index)}" y="${height - 8}" text-anchor="middle">${escapeHTML(label)}</text>`;
+    });
+    
+    return svg;
+}
+
+// options: { labels, series: [{ name, color, values, dashed }], integer }
+function renderLineChart(options, width, height) {
+    const { labels, series } = options;
+    const scaleMax = getChartScaleMax(series.flatMap(s => s.values), options.integer);
+    const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+    const plotBottom = height - CHART_PADDING.bottom;
+    const plotHeight = plotBottom - CHART_PADDING.top;
+    const getX = index => CHART_PADDING.left + (labels.length === 1 ? plotWidth / 2 : (index / (labels.length - 1)) * plotWidth);
+    const getY = value => plotBottom - (value / scaleMax) * plotHeight;
+    
+    let svg = renderChartAxes(labels, scaleMax, width, height, getX);
+    series.forEach(s => {
+        const points = s.values.map((value, index) => `${getX(index)},${getY(value)}`).join(' ');
+        svg += `<polyline points="${points}" fill="none" style="stroke: ${s.color}; stroke-width: 2;${s.dashed ? ' stroke-dasharray: 4 4;' : ''}"/>`;
+        if (s.values.length <= CHART_POINT_LIMIT && !s.dashed) {
+            svg += s.values.map((value, index) => `
+                <circle cx="${getX(index)}" cy="${getY(value)}" r="3" style="fill: ${s.color};"><title>${escapeHTML(`${labels[index]} • ${s.name}: ${formatChartValue(value)}`)}</title></circle>
+            `).join('');
+        }
+    });
+    return svg;
+}
+
+// options: { labels, series: [{ name, color, values }] }, stacked bottom-up in series order
+function renderStackedBarChart(options, width, height) {
+    const { labels, series } = options;
+    const totals = labels.map((label, index) => series.reduce((sum, s) => sum + Math.max(s.values[index] || 0, 0), 0));
+    const scaleMax = getChartScaleMax(totals, options.integer);
+    const band = (width - CHART_PADDING.left - CHART_PADDING.right) / labels.length;
+    const plotBottom = height - CHART_PADDING.bottom;
+    const plotHeight = plotBottom - CHART_PADDING.top;
+    const getX = index => CHART_PADDING.left + (index + 0.5) * band;
+    
+    let svg = renderChartAxes(labels, scaleMax, width, height, getX);
+    labels.forEach((label, index) => {
+        let top = plotBottom;
+        series.forEach(s => {
+            const value = Math.max(s.values[index] || 0, 0);
+            if (value === 0) return;
+            const barHeight = (value / scaleMax) * plotHeight;
+            top -= barHeight;
+            svg += `<rect x="${getX(index) - band * 0.35}" y="${top}" width="${band * 0.7}" height="${barHeight}" style="fill: ${s.color};"><title>${escapeHTML(`${label} • ${s.name}: ${formatChartValue(value)}`)}</title></rect>`;
+        });
+    });
+    return svg;
+}
+
+// options: { axes, max, series: [{ name, color, values }] }; values beyond max are drawn at the rim
+function renderRadarChart(options, width, height) {
+    const { axes, series } = options;
+    const max = options.max || Math.max(1, ...series.flatMap(s => s.values));
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const radius = Math.min(width, height) / 2 - 28;
+    const getPoint = (index, share) => {
+        const angle = -Math.PI / 2 + (2 * Math.PI * index) / axes.length;
+        return [centerX + Math.cos(angle) * radius * share, centerY + Math.sin(angle) * radius * share];
+    };
+    const polygon = shares => shares.map((share, index) => getPoint(index, share).join(',')).join(' ');
+    
+    let svg = '';
+    for (let ring = 1; ring <= CHART_GRID_LINES; ring++) {
+        svg += `<polygon class="chart-grid" points="${polygon(axes.map(() => ring / CHART_GRID_LINES))}" fill="none"/>`;
+    }
+    axes.forEach((axis, index) => {
+        const [x, y] = getPoint(index, 1);
+        const [labelX, labelY] = getPoint(index, 1 + 16 / radius);
+        const anchor = Math.abs(labelX - centerX) < 1 ? 'middle' : (labelX > centerX ? 'start' : 'end');
+        svg += `<line class="chart-grid" x1="${centerX}" y1="${centerY}" x2="${x}" y2="${y}"/>`;
+        svg += `<text class="chart-label" x="${labelX}" y="${labelY + 4}" text-anchor="${anchor}">${escapeHTML(axis)}</text>`;
+    });
+    series.forEach(s => {
+        svg += `<polygon points="${polygon(s.values.map(value => Math.min(Math.max(value, 0) / max, 1)))}" style="fill: ${s.color}; fill-opacity: 0.25; stroke: ${s.color}; stroke-width: 2;">
+            <title>${escapeHTML(`${s.name}: ${axes.map((axis, index) => `${axis} ${formatChartValue(s.values[index])}`).join(', ')}`)}</title>
+        </polygon>`;
+    });
+    return svg;
+}
+
+function renderChartLegend(series) {
+    return `<div class="chart-legend">${series.map(s => `
+        <span class="chart-legend-item"><span class="chart-legend-swatch ${s.dashed ? 'dashed' : ''}" style="background: ${s.color};"></span>${escapeHTML(s.name)}</span>
+    `).join('')}</div>`;
+}
+
+// ENHANCED: Progress Charts
+// Trends behind the Progress section's headline numbers, drawn with Charts.
+const PROGRESS_CHART_DAYS = 30;
+const DOMAIN_CHART_DAYS = 14;
+const BALANCE_CHART_RECENT_DAYS = 7;
+const FUNNEL_CHART_MONTHS = 6;
+const FUNNEL_STAGES = [
+    { name: 'Auditions', color: 'var(--system-blue)', metrics: ['tier1-auditions', 'tier2-auditions'] },
+    { name: 'Callbacks', color: 'var(--system-orange)', metrics: ['callbacks-count'] },
+    { name: 'Bookings', color: 'var(--system-green)', metrics: ['roles-count'] }
+];
+
+function getMonthlyMetricCount(metric, month) {
+    return safeLocalStorageGet(`${metric}_history_${month}`, []).length;
+}
+
+function formatChartDate(date) {
+    return DateService.parseDate(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+// Average share of each domain's target over the given days, in percent
+function getDomainBalanceShares(days) {
+    return DomainConfig.getDomains().map(domain => {
+        const total = days.reduce((sum, day) => sum + (day.domains[domain.id] || 0), 0);
+        return Math.round((total / days.length / domain.target) * 100);
+    });
+}
+
+function renderProgressCharts() {
+    const days = getDaysData(PROGRESS_CHART_DAYS).reverse();
+    const domains = DomainConfig.getDomains();
+    
+    Charts.line(document.getElementById('chart-daily-xp'), {
+        title: 'Daily XP against the intensity target',
+        labels: days.map(day => formatChartDate(day.date)),
+        series: [
+            { name: 'XP', color: 'var(--system-blue)', values: days.map(day => day.totalXP) },
+            { name: 'Intensity target', color: 'var(--system-gray1)', values: days.map(day => day.target), dashed: true }
+        ]
+    });
+    
+    const recent = days.slice(-DOMAIN_CHART_DAYS);
+    Charts.stackedBar(document.getElementById('chart-domain-xp'), {
+        title: 'XP by domain',
+        labels: recent.map(day => formatChartDate(day.date)),
+        series: domains.map(domain => ({ name: domain.name, color: domain.color, values: recent.map(day => day.domains[domain.id] || 0) }))
+    });
+    
+    Charts.radar(document.getElementById('chart-domain-balance'), {
+        title: 'Domain balance',
+        axes: domains.map(domain => domain.name),
+        max: 100,
+        series: [
+            { name: `Last ${PROGRESS_CHART_DAYS} days (% of target)`, color: 'var(--system-purple)', values: getDomainBalanceShares(days) },
+            { name: `Last ${BALANCE_CHART_RECENT_DAYS} days (% of target)`, color: 'var(--system-blue)', values: getDomainBalanceShares(days.slice(-BALANCE_CHART_RECENT_DAYS)) }
+        ]
+    });
+    
+    const currentMonth = `${DateService.getCurrentMonth()}-01`;
+    const months = [];
+    for (let i = FUNNEL_CHART_MONTHS - 1; i >= 0; i--) {
+        months.push(DateService.addMonths(currentMonth, -i).slice(0, 7));
+    }
+    Charts.line(document.getElementById('chart-funnel'), {
+        title: 'Monthly audition funnel',
+        labels: months.map(month => `${MONTH_NAMES[parseInt(month.slice(5, 7), 10) - 1]} '${month.slice(2, 4)}`),
+        integer: true,
+        series: FUNNEL_STAGES.map(stage => ({
+            name: stage.name,
+            color: stage.color,
+            values: months.map(month => stage.metrics.reduce((sum, metric) => sum + getMonthlyMetricCount(metric, month), 0))
+        }))
+    });
+}
+
+// The year heatmap and charts are the costliest views, so refreshes while
+// Progress is hidden only mark them stale; they are drawn when it is opened
+let progressViewsStale = true;
+
+function refreshProgressViews() {
+    if (!document.getElementById('progress').classList.contains('active')) {
+        progressViewsStale = true;
+        return;
+    }
+    progressViewsStale = false;
+    renderYearHeatmap();
+    renderProgressCharts();
+}
+
+// Goal Templates
+const GOAL_TEMPLATES = {
+    audition: "🎯 Today's Audition Focus: Nail the character with authentic emotional depth and compelling presence. Prepare thoroughly, deliver with truth, and leave lasting impression.",
+    workout: "🎯 Today's Physical Peak: Complete workout with perfect form and 10% more intensity than yesterday. Build the Hollywood physique with discipline and precision.", 
+    creation: "🎯 Today's Creative Breakthrough: Finish creative project with professional polish and unique voice. Push artistic boundaries while maintaining commercial appeal.",
+    recovery: "🎯 Today's Recovery Priority: Achieve 8+ hours quality sleep with 30min wind-down routine. Optimize nutrition and active recovery for peak performance tomorrow."
+};
+
+let currentCategory = 'critical';
+let currentEditingTaskId = null;
+let currentIntensity = 'standard';
+
+// COMPETITION MODE SYSTEM
+function setIntensity(level) {
+    applyIntensity(level);
+    recordIntensityChange(level);
+    
+    // Persist through the storage engine
+    StorageEngine.setItem('current_intensity', level);
+    refreshAfterAction();
+    
+    alert(`🎯 Intensity set to: ${INTENSITY_LEVELS[level].name}`);
+}
+
+function applyIntensity(level) {
+    currentIntensity = level;
+    
+    // Update button states
+    document.querySelectorAll('.intensity-btn').forEach(btn => {
+        btn.classList.remove('active');
+    });
+    document.querySelector(`.intensity-btn[data-level="${level}"]`).classList.add('active');
+    
+    // Update daily requirements display
+    updateIntensityRequirements(level);
+}
+
+function updateIntensityRequirements(level) {
+    const req = INTENSITY_LEVELS[level];
+    
+    // Update the validation warning
+    const warningElement = document.querySelector('.validation-warning');
+    if (warningElement) {
+        warningElement.innerHTML = `
+            <strong>🎯 ${req.label} Requirements (streak rules):</strong><br>
+            ${req.xp} XP • ${req.scary} Scary Task${req.scary > 1 ? 's' : ''} (10 XP) • ${req.critical} Critical Task${req.critical > 1 ? 's' : ''} (5 XP)<br>
+            <strong>All are required to extend your streak.</strong>
+            ${req.industry ? '<br>➕ Industry Outreach Required' : ''}
+        `;
+    }
+}
+
+// ENHANCED: Streak Rules Engine
+// A day extends the streak when it meets every requirement of the intensity
+// in effect on that day. Intensity changes are recorded with the date they
+// take effect (intensity_history), so raising the bar today never rewrites
+// the past; days from before that history existed are held to the original
+// rule of 160 XP plus a saved alignment.
+//
+// Neutral days neither extend nor break a streak:
+// - planned rest days, at most REST_DAYS_PER_WEEK, planned no later than the day itself
+// - travel days recorded by DateService
+// - frozen days: a missed day is covered by a streak freeze when one is
+//   banked. One freeze is earned per STREAK_FREEZE_INTERVAL streak days.
+// Freezes are derived by replaying the history, so every device agrees.
+const INTENSITY_LEVELS = {
+    standard: { name: 'Hollywood Standard', label: 'Daily', xp: 160, scary: 1, critical: 2, industry: false },
+    superstar: { name: 'Superstar Mode', label: 'Superstar', xp: 200, scary: 2, critical: 3, industry: false },
+    legend: { name: 'Legend Protocol', label: 'Legend', xp: 240, scary: 3, critical: 4, industry: true }
+};
+const LEGACY_STREAK_RULE = { id: 'legacy', name: 'Original Rule', label: 'Daily', xp: 160, scary: 0, critical: 0, industry: false };
+const STREAK_FREEZE_INTERVAL = 7;
+const STREAK_FREEZE_LIMIT = 3;
+const REST_DAYS_PER_WEEK = 1;
+const INDUSTRY_LOG_TYPES = ['events', 'followups', 'contacts'];
+
+function getIntensityForDate(date) {
+    const entries = safeLocalStorageGet('intensity_history', []).filter(entry => entry.from <= date);
+    if (entries.length === 0) return LEGACY_STREAK_RULE;
+    
+    const level = entries[entries.length - 1].level;
+    return { id: level, ...(INTENSITY_LEVELS[level] || INTENSITY_LEVELS.standard) };
+}
+
+// A change made today applies from today; earlier days keep their level
+function recordIntensityChange(level) {
+    const today = getToday();
+    const history = safeLocalStorageGet('intensity_history', []).filter(entry => entry.from < today);
+    const previous = history[history.length - 1];
+    if (!previous || previous.level !== level) {
+        history.push({ from: today, level });
+    }
+    safeLocalStorageSet('intensity_history', history);
+}
+
+function getRestDays() {
+    return safeLocalStorageGet('streak_rest_days', []);
+}
+
+function hasIndustryOutreach(date) {
+    return INDUSTRY_LOG_TYPES.some(type => {
+        const entries = safeLocalStorageGet(`industry_${type}_${date.slice(0, 7)}`, []);
+        return entries.some(entry => DateService.getLogicalDate(new Date(entry.timestamp)) === date);
+    });
+}
+
+function evaluateStreakDay(date) {
+    const level = getIntensityForDate(date);
+    const day = getDayRecord(date);
+    const xp = XPLedger.getDayXP(date);
+    const completed = category => (day.tasks || []).filter(task => task.completed && task.category === category).length;
+    
+    const checks = [{ id: 'xp', label: `${level.xp}+ XP`, met: xp >= level.xp, detail: `${xp}/${level.xp} XP` }];
+    if (level.scary) {
+        const scary = completed('scary');
+        checks.push({ id: 'scary', label: `${level.scary} Scary`, met: scary >= level.scary, detail: `${scary}/${level.scary} scary tasks` });
+    }
+    if (level.critical) {
+        const critical = completed('critical');
+        checks.push({ id: 'critical', label: `${level.critical} Critical`, met: critical >= level.critical, detail: `${critical}/${level.critical} critical tasks` });
+    }
+    if (level.industry) {
+        const outreach = hasIndustryOutreach(date);
+        checks.push({ id: 'industry', label: 'Industry Outreach', met: outreach, detail: outreach ? 'Outreach logged' : 'No outreach logged' });
+    }
+    checks.push({ id: 'alignment', label: 'Alignment', met: !!day.alignment, detail: day.alignment ? 'Alignment saved' : 'Alignment missing' });
+    
+    let status = 'missed';
+    if (checks.every(check => check.met)) status = 'met';
+    else if (getRestDays().includes(date)) status = 'rest';
+    else if (DateService.isTravelDay(date)) status = 'travel';
+    else if (date >= getToday()) status = 'pending';
+    
+    // Days changed after the fact stay marked in streak history
+    const backfilled = AuditLog.getBackfilledDates().has(date);
+    return { date, level: level.id, status, xp, checks, backfilled };
+}
+
+function getFirstRecordedDate() {
+    const dates = StorageEngine.keys('mastery_')
+        .filter(isDayRecordKey)
+        .map(key => key.replace('mastery_', ''));
+    getArchives().forEach(archive => dates.push(...Object.keys(archive.days)));
+    return dates.length > 0 ? dates.sort()[0] : null;
+}
+
+// The replay to today is shared by the streak card, heatmap and probability
+// model, and kept until storage changes or the day rolls over. A replay never
+// looks ahead, so earlier end dates are read off it.
+const streakReplayCache = { today: null, result: null };
+StorageEngine.onChange(() => { streakReplayCache.result = null; });
+
+function calculateStreak(endDate = getToday()) {
+    const today = getToday();
+    if (endDate > today) return replayStreak(endDate);
+    if (!streakReplayCache.result || streakReplayCache.today !== today) {
+        streakReplayCache.today = today;
+        streakReplayCache.result = replayStreak(today);
+    }
+    
+    const full = streakReplayCache.result;
+    if (endDate === today) return full;
+    const days = full.days.filter(day => day.date <= endDate);
+    const last = days[days.length - 1];
+    return { current: last ? last.current : 0, freezes: last ? last.freezes : 0, days };
+}
+
+// Replays every day up to endDate, applying freezes as they were earned.
+// Each day keeps the streak and banked freezes as they stood at its end.
+function replayStreak(endDate) {
+    const result = { current: 0, freezes: 0, days: [] };
+    const firstDate = getFirstRecordedDate();
+    if (!firstDate) return result;
+    
+    let sinceFreeze = 0;
+    for (let date = firstDate; date <= endDate; date = DateService.addDays(date, 1)) {
+        const day = evaluateStreakDay(date);
+        
+        if (day.status === 'met') {
+            result.current++;
+            sinceFreeze++;
+            if (sinceFreeze === STREAK_FREEZE_INTERVAL) {
+                result.freezes = Math.min(STREAK_FREEZE_LIMIT, result.freezes + 1);
+                sinceFreeze = 0;
+            }
+        } else if (day.status === 'missed') {
+            if (result.current > 0 && result.freezes > 0) {
+                result.freezes--;
+                day.status = 'frozen';
+            } else {
+                result.current = 0;
+                sinceFreeze = 0;
+            }
+        }
+        day.current = result.current;
+        day.freezes = result.freezes;
+        result.days.push(day);
+    }
+    
+    return result;
+}
+
+function planRestDay() {
+    const today = getToday();
+    const input = prompt(`Plan a rest day (YYYY-MM-DD).\n\nRest days keep your streak alive without the daily requirements. Limit: ${REST_DAYS_PER_WEEK} per week.`, DateService.addDays(today, 1));
+    if (!input) return;
+    
+    const date = input.trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || DateService.formatDate(DateService.parseDate(date)) !== date) {
+        alert('❌ Enter the date as YYYY-MM-DD');
+        return;
+    }
+    
+    const restDays = getRestDays();
+    if (restDays.includes(date)) {
+        if (date >= today && confirm(`${date} is already a rest day. Cancel it?`)) {
+            safeLocalStorageSet('streak_rest_days', restDays.filter(restDay => restDay !== date));
+            loadStreak();
+        }
+        return;
+    }
+    if (date < today) {
+        alert('❌ Rest days must be planned ahead. Missed days can only be covered by a streak freeze.');
+        return;
+    }
+    
+    const weekday = DateService.getDayOfWeek(date);
+    const weekStart = DateService.addDays(date, weekday === 0 ? -6 : 1 - weekday);
+    const weekEnd = DateService.addDays(weekStart, 6);
+    if (restDays.filter(restDay => restDay >= weekStart && restDay <= weekEnd).length >= REST_DAYS_PER_WEEK) {
+        alert(`❌ That week already has ${REST_DAYS_PER_WEEK} rest day${REST_DAYS_PER_WEEK === 1 ? '' : 's'} planned.`);
+        return;
+    }
+    
+    safeLocalStorageSet('streak_rest_days', restDays.concat(date).sort());
+    loadStreak();
+    alert(`🛌 Rest day planned for ${DateService.parseDate(date).toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' })}.`);
+}
+
+// ENHANCED: Streak History
+// Splits the full replay from calculateStreak() into runs of consecutive
+// streak days. A run survives rest, travel and frozen days and ends on the
+// first missed day, which is kept with the reasons it failed.
+const STREAK_BREAK_REASONS = {
+    xp: 'XP shortfall',
+    scary: 'Missing tasks',
+    critical: 'Missing tasks',
+    industry: 'No industry outreach',
+    alignment: 'Missing alignment'
+};
+const STREAK_TIMELINE_LIMIT = 30;
+
+function getStreakBreakReasons(day) {
+    if (day.xp === 0 && day.checks.every(check => !check.met)) {
+        return ['No activity logged'];
+    }
+    const reasons = day.checks.filter(check => !check.met).map(check => STREAK_BREAK_REASONS[check.id]);
+    return Array.from(new Set(reasons));
+}
+
+function buildStreakHistory(days) {
+    const runs = [];
+    let run = null;
+    
+    days.forEach(day => {
+        if (day.status === 'met') {
+            if (!run) run = { start: day.date, end: day.date, length: 0, frozen: 0, rest: 0, travel: 0, backfilled: 0 };
+            run.end = day.date;
+            run.length++;
+            if (day.backfilled) run.backfilled++;
+        } else if (day.status === 'missed') {
+            if (run) {
+                runs.push({ ...run, brokenOn: day.date, reasons: getStreakBreakReasons(day) });
+                run = null;
+            }
+        } else if (run && run[day.status] !== undefined) {
+            run[day.status]++;
+        }
+    });
+    if (run) runs.push({ ...run, active: true });
+    
+    const longest = runs.reduce((best, candidate) => (!best || candidate.length > best.length ? candidate : best), null);
+    const current = runs.length > 0 && runs[runs.length - 1].active ? runs[runs.length - 1].length : 0;
+    
+    return {
+        runs,
+        current,
+        longest,
+        average: runs.length > 0 ? runs.reduce((sum, candidate) => sum + candidate.length, 0) / runs.length : 0
+    };
+}
+
+function formatStreakDate(date) {
+    return DateService.parseDate(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function renderStreakHistory(history) {
+    const longestLength = history.longest ? history.longest.length : 0;
+    
+    document.getElementById('streak-records').innerHTML = `
+        <div class="stat-card">
+            <div class="stat-value">${history.current}</div>
+            <div class="stat-label">Current</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-value">${longestLength}</div>
+            <div class="stat-label">Longest</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-value">${history.average.toFixed(1)}</div>
+            <div class="stat-label">Average</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-value">${history.runs.length}</div>
+            <div class="stat-label">Runs</div>
+        </div>
+    `;
+    
+    const timeline = document.getElementById('streak-timeline');
+    if (history.runs.length === 0) {
+        timeline.innerHTML = '<div class="streak-run-empty">No streak days yet. Meet today\'s requirements to start your first run.</div>';
+        return;
+    }
+    
+    const runs = history.runs.slice().reverse();
+    timeline.innerHTML = runs.slice(0, STREAK_TIMELINE_LIMIT).map(run => {
+        const notes = [];
+        if (run.frozen) notes.push(`❄️ ${run.frozen} frozen`);
+        if (run.rest) notes.push(`🛌 ${run.rest} rest`);
+        if (run.travel) notes.push(`✈️ ${run.travel} travel`);
+        if (run.backfilled) notes.push(`✍️ ${run.backfilled} backfilled`);
+        const isRecord = run === history.longest;
+        
+        return `
+            <div class="streak-run ${run.active ? 'active' : ''}">
+                <div class="streak-run-header">
+                    <span>${run.active ? '🔥' : '🧱'} ${run.length} day${run.length === 1 ? '' : 's'}${isRecord ? ' 🏆' : ''}</span>
+                    <span class="streak-run-dates">${formatStreakDate(run.start)} – ${formatStreakDate(run.end)}</span>
+                </div>
+                <div class="streak-run-bar">
+                    <div class="streak-run-fill" style="width: ${(run.length / longestLength) * 100}%"></div>
+                </div>
+                <div class="streak-run-end">
+                    ${run.active ? 'Still going' : `Ended ${formatStreakDate(run.brokenOn)}: ${run.reasons.join(', ')}`}${notes.length > 0 ? ` • ${notes.join(' • ')}` : ''}
+                </div>
+            </div>
+        `;
+    }).join('') + (runs.length > STREAK_TIMELINE_LIMIT
+        ? `<div class="streak-run-empty">${runs.length - STREAK_TIMELINE_LIMIT} earlier runs not shown</div>`
+        : '');
+}
+
+// ENHANCED: Probability Model
+// The probability is a sum of points, one term per input read from stored
+// history: points = min(measure x weight, cap), and the total is held under
+// a ceiling. Weights, caps and windows live in probability_model (defaults
+// built in). Each term is also computed as of a week ago so the explanation
+// panel can show what moved the score.
+const PROBABILITY_MODEL_KEY = 'probability_model';
+const PROBABILITY_COMPARE_DAYS = 7;
+const RELATIONSHIP_TARGETS = ['cd-quality', 'agent-quality', 'director-quality'];
+const RELATIONSHIP_HISTORY_KEY = 'industry_relationships_history';
+const INDUSTRY_INTERACTION_TYPES = ['events', 'followups', 'contacts'];
+
+const DEFAULT_PROBABILITY_MODEL = {
+    ceiling: 95, // Never 100% - stay hungry
+    factors: {
+        streak: { weight: 0.5, cap: 10 },
+        momentum: { weight: 0.1, cap: 10, window: 30 },
+        tier1: { weight: 1.5, cap: 20, window: 90 },
+        tier2: { weight: 0.5, cap: 10, window: 90 },
+        callbacks: { weight: 4, cap: 20, window: 90 },
+        bookings: { weight: 10, cap: 20, window: 365 },
+        relationships: { weight: 1, cap: 10 },
+        interactions: { weight: 0.5, cap: 10, window: 30 }
+    }
+};
+
+// measure(asOf, window) returns the raw input; group is the headline box it counts toward
+const PROBABILITY_FACTORS = [
+    { id: 'streak', label: '🔥 Streak', group: 'consistency', unit: 'streak days',
+        measure: asOf => calculateStreak(asOf).current },
+    { id: 'momentum', label: '📈 Momentum', group: 'consistency', unit: 'momentum points', windowChoices: MOMENTUM_WINDOWS,
+        measure: (asOf, window) => getMomentumScoreOn(asOf, window) },
+    { id: 'tier1', label: '🎬 Tier 1 auditions', group: 'opportunities', unit: 'auditions',
+        measure: (asOf, window) => getLogEntriesInWindow('tier1-auditions_history_', window, asOf).length },
+    { id: 'tier2', label: '🎞️ Tier 2 auditions', group: 'opportunities', unit: 'auditions',
+        measure: (asOf, window) => getLogEntriesInWindow('tier2-auditions_history_', window, asOf).length },
+    { id: 'callbacks', label: '📞 Callbacks', group: 'callbacks', unit: 'callbacks',
+        measure: (asOf, window) => getLogEntriesInWindow('callbacks-count_history_', window, asOf).length },
+    { id: 'bookings', label: '🏆 Bookings', group: 'bookings', unit: 'roles booked',
+        measure: (asOf, window) => getLogEntriesInWindow('roles-count_history_', window, asOf).length },
+    { id: 'relationships', label: '🤝 Relationships', group: 'opportunities', unit: 'average rating (of 10)',
+        measure: asOf => getAverageRelationshipRating(asOf) },
+    { id: 'interactions', label: '🗣️ Industry interactions', group: 'opportunities', unit: 'events, follow-ups and contacts',
+        measure: (asOf, window) => INDUSTRY_INTERACTION_TYPES.reduce((sum, type) => sum + getLogEntriesInWindow(`industry_${type}_`, window, asOf).length, 0) }
+];
+
+function getProbabilityModel() {
+    const saved = safeLocalStorageGet(PROBABILITY_MODEL_KEY, {});
+    const factors = {};
+    Object.keys(DEFAULT_PROBABILITY_MODEL.factors).forEach(id => {
+        factors[id] = { ...DEFAULT_PROBABILITY_MODEL.factors[id], ...((saved.factors || {})[id] || {}) };
+    });
+    return { ceiling: saved.ceiling || DEFAULT_PROBABILITY_MODEL.ceiling, factors };
+}
+
+function saveProbabilityModel(model) {
+    safeLocalStorageSet(PROBABILITY_MODEL_KEY, model);
+    updateProbabilityDisplay();
+}
+
+// Entries of a monthly log family (prefix + YYYY-MM) dated within the window ending on asOf
+function getLogEntriesInWindow(prefix, windowDays, asOf) {
+    const startDate = DateService.addDays(asOf, -(windowDays - 1));
+    const entries = [];
+    
+    for (let month = startDate.slice(0, 7); month <= asOf.slice(0, 7); month = DateService.addMonths(`${month}-01`, 1).slice(0, 7)) {
+        safeLocalStorageGet(`${prefix}${month}`, []).forEach(entry => {
+            const date = entry.date || DateService.getLogicalDate(new Date(entry.timestamp));
+            if (date >= startDate && date <= asOf) entries.push(entry);
+        });
+    }
+    return entries;
+}
+
+// Rating in effect at the end of asOf: the last change made by then, or the
+// rating before the first change after it. Ratings given before changes were
+// recorded have no history and always count. Unrated relationships count as 0.
+function getRelationshipRatingsOn(asOf) {
+    const current = safeLocalStorageGet('industry_relationships', {});
+    const history = safeLocalStorageGet(RELATIONSHIP_HISTORY_KEY, [])
+        .slice()
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    
+    const ratings = {};
+    RELATIONSHIP_TARGETS.forEach(target => {
+        const changes = history.filter(change => change.target === target);
+        if (changes.length === 0) {
+            ratings[target] = current[target] || 0;
+            return;
+        }
+        const made = changes.filter(change => change.date <= asOf);
+        ratings[target] = made.length > 0 ? made[made.length - 1].rating : changes[0].previous || 0;
+    });
+    return ratings;
+}
+
+function getAverageRelationshipRating(asOf = getToday()) {
+    const ratings = getRelationshipRatingsOn(asOf);
+    const total = RELATIONSHIP_TARGETS.reduce((sum, target) => sum + ratings[target], 0);
+    return Math.round((total / RELATIONSHIP_TARGETS.length) * 10) / 10;
+}
+
+// Saved snapshot when there is one, otherwise scored from the data as it stands
+function getMomentumScoreOn(date, window) {
+    const snapshot = getMomentumSnapshots()[date];
+    if (snapshot && snapshot[window] && date !== getToday()) return snapshot[window].score;
+    return scoreMomentumWindow(getDaysData(window, date)).score;
+}
+
+function calculateHollywoodProbability(asOf = getToday()) {
+    const model = getProbabilityModel();
+    const breakdown = { consistency: 0, opportunities: 0, callbacks: 0, bookings: 0 };
+    
+    const factors = PROBABILITY_FACTORS.map(factor => {
+        const settings = model.factors[factor.id];
+        const value = factor.measure(asOf, settings.window);
+        const uncapped = value * settings.weight;
+        const points = Math.min(uncapped, settings.cap);
+        breakdown[factor.group] += points;
+        return { ...factor, settings, value, points, capped: uncapped > settings.cap };
+    });
+    
+    const sum = factors.reduce((total, factor) => total + factor.points, 0);
+    const total = Math.min(sum, model.ceiling);
+    Object.keys(breakdown).forEach(group => { breakdown[group] = Math.round(breakdown[group]); });
+    
+    return { total: Math.round(total), sum, ceiling: model.ceiling, breakdown, factors };
+}
+
+function formatProbabilityPoints(points) {
+    return Number.isInteger(points) ? String(points) : points.toFixed(1);
+}
+
+function renderProbabilityExplanation(probability, previous) {
+    const compareDate = DateService.addDays(getToday(), -PROBABILITY_COMPARE_DAYS);
+    
+    document.getElementById('probability-factors').innerHTML = probability.factors.map((factor, index) => {
+        const delta = factor.points - previous.factors[index].points;
+        const window = factor.settings.window ? ` in ${factor.settings.window} days` : '';
+        return `
+            <div class="probability-factor">
+                <div class="probability-factor-header">
+                    <span>${factor.label}</span>
+                    <span>+${formatProbabilityPoints(factor.points)} / ${factor.settings.cap}
+                        ${delta !== 0 ? `<span class="probability-delta ${delta > 0 ? 'up' : 'down'}">${delta > 0 ? '▲' : '▼'} ${formatProbabilityPoints(Math.abs(delta))}</span>` : ''}
+                    </span>
+                </div>
+                <div class="compact-progress-bar">
+                    <div class="compact-progress-fill" style="width: ${(factor.points / factor.settings.cap) * 100}%; background: var(--system-blue);"></div>
+                </div>
+                <div class="probability-factor-detail">
+                    <span>${formatProbabilityPoints(factor.value)} ${factor.unit}${window} × ${factor.settings.weight} pts${factor.capped ? ' • capped' : ''}</span>
+                    <button class="task-action-btn edit" onclick="editProbabilityFactor('${factor.id}')">⚙️</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    const change = probability.total - previous.total;
+    document.getElementById('probability-summary').textContent =
+        `${formatProbabilityPoints(Math.round(probability.sum * 10) / 10)} points` +
+        `${probability.sum > probability.ceiling ? `, held at the ${probability.ceiling}% ceiling` : ''}` +
+        ` • ${change === 0 ? 'No change' : `${change > 0 ? '+' : ''}${change}%`} since ${formatTaskDate(compareDate)}`;
+}
+
+// Decimal-friendly counterpart of promptConfigNumber
+function promptModelNumber(message, current) {
+    const answer = prompt(message, current);
+    if (answer === null) return null;
+    const value = parseFloat(answer);
+    return Number.isFinite(value) && value >= 0 ? value : NaN;
+}
+
+function editProbabilityFactor(factorId) {
+    const factor = PROBABILITY_FACTORS.find(f => f.id === factorId);
+    const model = getProbabilityModel();
+    const settings = model.factors[factorId];
+    
+    const weight = promptModelNumber(`${factor.label}\n\nWeight - points per unit of ${factor.unit}:`, settings.weight);
+    if (weight === null) return;
+    const cap = promptModelNumber(`${factor.label}\n\nMaximum points (cap):`, settings.cap);
+    if (cap === null) return;
+    if (Number.isNaN(weight) || Number.isNaN(cap)) {
+        alert('❌ Weight and cap must be numbers of 0 or more');
+        return;
+    }
+    
+    let window = settings.window;
+    if (window) {
+        const choices = factor.windowChoices ? ` (${factor.windowChoices.join(', ')})` : '';
+        window = promptModelNumber(`${factor.label}\n\nRolling window in days${choices}:`, settings.window);
+        if (window === null) return;
+        if (!Number.isInteger(window) || window < 1 || (factor.windowChoices && !factor.windowChoices.includes(window))) {
+            alert(`❌ Window must be ${factor.windowChoices ? `one of ${factor.windowChoices.join(', ')}` : 'a whole number of days'}`);
+            return;
+        }
+    }
+    
+    model.factors[factorId] = window ? { weight, cap, window } : { weight, cap };
+    saveProbabilityModel(model);
+}
+
+function editProbabilityCeiling() {
+    const ceiling = promptModelNumber('Highest probability the model can show (%):', getProbabilityModel().ceiling);
+    if (ceiling === null) return;
+    if (Number.isNaN(ceiling) || ceiling <= 0 || ceiling > 100) {
+        alert('❌ Ceiling must be between 1 and 100');
+        return;
+    }
+    
+    saveProbabilityModel({ ...getProbabilityModel(), ceiling });
+}
+
+function resetProbabilityModel() {
+    if (!confirm('Restore the default probability weights, caps and windows?')) return;
+    StorageEngine.removeItem(PROBABILITY_MODEL_KEY);
+    updateProbabilityDisplay();
+}
+
+function updateProbabilityDisplay() {
+    const probability = calculateHollywoodProbability();
+    const previous = calculateHollywoodProbability(DateService.addDays(getToday(), -PROBABILITY_COMPARE_DAYS));
+    
+    // Update main score
+    document.getElementById('probability-score').textContent = `${probability.total}%`;
+    
+    // Update breakdown
+    document.getElementById('consistency-score').textContent = `${probability.breakdown.consistency}%`;
+    document.getElementById('opportunities-score').textContent = `${probability.breakdown.opportunities}%`;
+    document.getElementById('callbacks-score').textContent = `${probability.breakdown.callbacks}%`;
+    document.getElementById('bookings-score').textContent = `${probability.breakdown.bookings}%`;
+    renderProbabilityExplanation(probability, previous);
+    
+    // Update insight based on probability
+    let insight = '';
+    if (probability.total < 20) {
+        insight = '🚧 Foundation Building Phase - Focus on consistent daily system execution';
+    } else if (probability.total < 40) {
+        insight = '📈 Momentum Building - Increase Tier 1 audition volume and industry networking';
+    } else if (probability.total < 60) {
+        insight = '🎯 Breakthrough Imminent - Optimize callback conversion and agent relationships';
+    } else if (probability.total < 80) {
+        insight = '⭐ Industry Traction - Leverage bookings for better roles and representation';
+    } else {
+        insight = '🏆 Hollywood Ready - Maintain momentum and strategic role selection';
+    }
+    
+    document.getElementById('probability-insight').textContent = insight;
+    
+    // Color code based on probability
+    const scoreElement = document.getElementById('probability-score');
+    if (probability.total < 30) {
+        scoreElement.style.color = '#FF3B30';
+    } else if (probability.total < 60) {
+        scoreElement.style.color = '#FF9500';
+    } else {
+        scoreElement.style.color = '#34C759';
+    }
+}
+
+// INDUSTRY INTELLIGENCE SYSTEM
+function rateRelationship(target, rating) {
+    renderRelationshipStars(target, rating);
+    
+    // Persist through the storage engine; each change is kept so the
+    // probability model can compare ratings week over week
+    const relationships = JSON.parse(StorageEngine.getItem('industry_relationships') || '{}');
+    if (relationships[target] !== rating) {
+        const history = safeLocalStorageGet(RELATIONSHIP_HISTORY_KEY, []);
+        history.push({ target, rating, previous: relationships[target] || 0, date: getToday(), timestamp: new Date().toISOString() });
+        safeLocalStorageSet(RELATIONSHIP_HISTORY_KEY, history);
+    }
+    relationships[target] = rating;
+    StorageEngine.setItem('industry_relationships', JSON.stringify(relationships));
+    
+    updateProbabilityDisplay(); // Relationships affect probability
+}
+
+function renderRelationshipStars(target, rating) {
+    const stars = document.querySelectorAll(`[data-target="${target}"] .star`);
+    
+    stars.forEach(star => {
+        const value = parseInt(star.getAttribute('data-value'));
+        if (value <= rating) {
+            star.classList.add('active');
+            star.textContent = '⭐';
+        } else {
+            star.classList.remove('active');
+            star.textContent = '☆';
+        }
+    });
+}
+
+function loadRelationshipRatings() {
+    const relationships = JSON.parse(StorageEngine.getItem('industry_relationships') || '{}');
+    
+    Object.keys(relationships).forEach(target => {
+        renderRelationshipStars(target, relationships[target]);
+    });
+}
+
+function logIndustryInteraction() {
+    const interactionType = prompt('Industry Interaction Type:\n1 - Industry Event\n2 - Strategic Follow-up\n3 - New Quality Contact\n\nEnter number:');
+    
+    if (!interactionType) return;
+    
+    const types = {
+        '1': { key: 'events', name: 'Industry Event' },
+        '2': { key: 'followups', name: 'Strategic Follow-up' },
+        '3': { key: 'contacts', name: 'New Quality Contact' }
+    };
+    
+    const type = types[interactionType];
+    if (!type) {
+        alert('Invalid selection');
+        return;
+    }
+    
+    const details = prompt(`Log ${type.name}:\n\nDetails (who, what, next steps):`);
+    if (!details || details.length < 5) {
+        alert('Interaction logging requires details (minimum 5 characters)');
+        return;
+    }
+    
+    // Save interaction
+    const month = DateService.getCurrentMonth();
+    const key = `industry_${type.key}_${month}`;
+    
+    executeAction(new LogEntryAction(key, {
+        type: type.name,
+        details: details.trim(),
+        timestamp: new Date().toISOString()
+    }, `Logged ${type.name}`));
+    
+    const interactions = safeLocalStorageGet(key, []);
+    alert(`✅ ${type.name} logged!\n\nTotal this month: ${interactions.length}`);
+}
+
+function updateIndustryStats() {
+    const month = DateService.getCurrentMonth();
+    
+    const events = JSON.parse(StorageEngine.getItem(`industry_events_${month}`) || '[]');
+    const followups = JSON.parse(StorageEngine.getItem(`industry_followups_${month}`) || '[]');
+    const contacts = JSON.parse(StorageEngine.getItem(`industry_contacts_${month}`) || '[]');
+    
+    document.getElementById('events-count').textContent = `${events.length}/4`;
+    document.getElementById('followups-count').textContent = `${followups.length}/12`;
+    document.getElementById('contacts-count').textContent = `${contacts.length}/8`;
+}
+
+// CRITICAL: System Sovereignty Functions
+const BACKUP_SYSTEM_NAME = 'Hollywood Mastery Destiny Protocol';
+
+function isBackupKey(key) {
+    const family = getKeyFamily(key);
+    return family !== null && family.backup !== false;
+}
+
+// Device settings (sync endpoint, profiles) and unknown keys in a backup file
+// are never restored, so a shared or edited file cannot redirect sync
+function getRestorableKeys(backup) {
+    return Object.keys(backup).filter(key => key !== '_metadata' && isBackupKey(key));
+}
+
+function getSkippedRestoreKeys(backup) {
+    return Object.keys(backup).filter(key => key !== '_metadata' && !isBackupKey(key));
+}
+
+function collectBackupData() {
+    const backup = {};
+    const profile = ProfileManager.getActive();
+    
+    // Backup all mastery data
+    StorageEngine.keys().forEach(key => {
+        if (isBackupKey(key)) {
+            backup[key] = StorageEngine.getItem(key);
+        }
+    });
+    
+    // Add metadata
+    backup._metadata = {
+        version: BACKUP_FORMAT_VERSION,
+        schemaVersion: DAY_SCHEMA_VERSION,
+        backupDate: new Date().toISOString(),
+        totalEntries: Object.keys(backup).length,
+        system: BACKUP_SYSTEM_NAME,
+        profile: { id: profile.id, name: profile.name }
+    };
+    
+    return backup;
+}
+
+function downloadJSON(payload, filename) {
+    const dataStr = JSON.stringify(payload, null, 2);
+    const dataBlob = new Blob([dataStr], {type: 'application/json'});
+    const url = URL.createObjectURL(dataBlob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+// ENHANCED: Backup Manifest & Checksum
+// The manifest records how many keys (and logged entries) each registered
+// family contributed, plus a checksum over every key/value pair. Restore
+// recomputes both, so a truncated or edited backup is rejected up front.
+function canonicalBackupString(backup) {
+    return Object.keys(backup)
+        .filter(key => !key.startsWith('_'))
+        .sort()
+        .map(key => `${key}\n${backup[key]}`)
+        .join('\n');
+}
+
+// FNV-1a for contexts without WebCrypto (e.g. plain http)
+function fnv1aHash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+async function computeBackupChecksum(backup, algorithm) {
+    const text = canonicalBackupString(backup);
+    if (algorithm === 'FNV-1a') {
+        return fnv1aHash(text);
+    }
+    
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+function countBackupFamilies(backup) {
+    const families = {};
+    
+    Object.keys(backup).forEach(key => {
+        if (key.startsWith('_')) return;
+        const family = getKeyFamily(key);
+        const id = family ? family.id : 'unregistered';
+        if (!families[id]) families[id] = { keys: 0, entries: 0 };
+        
+        families[id].keys++;
+        let entries = 1;
+        try {
+            const value = JSON.parse(backup[key]);
+            if (Array.isArray(value)) entries = value.length;
+        } catch (error) {
+            // Plain string values count as one entry
+        }
+        families[id].entries += entries;
+    });
+    
+    return families;
+}
+
+async function buildBackupManifest(backup) {
+    const algorithm = window.crypto && window.crypto.subtle ? 'SHA-256' : 'FNV-1a';
+    return {
+        families: countBackupFamilies(backup),
+        totalKeys: Object.keys(backup).filter(key => !key.startsWith('_')).length,
+        algorithm,
+        checksum: await computeBackupChecksum(backup, algorithm)
+    };
+}
+
+// Throws when the backup does not match its manifest; returns false for
+// legacy backups that carry no manifest at all
+async function verifyBackupManifest(backup) {
+    const manifest = backup._metadata.manifest;
+    if (!manifest) return false;
+    
+    const actual = countBackupFamilies(backup);
+    const problems = [];
+    Object.keys(manifest.families).forEach(id => {
+        const expected = manifest.families[id];
+        const found = actual[id] || { keys: 0, entries: 0 };
+        if (found.keys !== expected.keys || found.entries !== expected.entries) {
+            problems.push(`${id}: expected ${expected.keys} keys/${expected.entries} entries, found ${found.keys}/${found.entries}`);
+        }
+    });
+    Object.keys(actual).forEach(id => {
+        if (!manifest.families[id]) problems.push(`${id}: ${actual[id].keys} unexpected keys`);
+    });
+    
+    if (problems.length > 0) {
+        throw new Error(`Backup is incomplete:\n${problems.join('\n')}`);
+    }
+    if (manifest.algorithm === 'SHA-256' && !(window.crypto && window.crypto.subtle)) {
+        throw new Error('This browser cannot verify the backup checksum. Open the app over https and try again.');
+    }
+    if (await computeBackupChecksum(backup, manifest.algorithm) !== manifest.checksum) {
+        throw new Error('Backup checksum mismatch. The file is corrupted or was edited.');
+    }
+    return true;
+}
+
+async function backupEntireSystem() {
+    let payload = collectBackupData();
+    payload._metadata.manifest = await buildBackupManifest(payload);
+    let encrypted = false;
+    
+    if (isBackupEncryptionEnabled()) {
+        const passphrase = await requestPassphrase({
+            title: '🔒 Encrypt Backup',
+            message: 'Choose a passphrase. Without it this backup cannot be restored.',
+            confirm: true
+        });
+        if (!passphrase) {
+            alert('Backup cancelled.');
+            return false;
+        }
+        
+        try {
+            payload = await encryptBackup(payload, passphrase);
+            encrypted = true;
+        } catch (error) {
+            alert('❌ Backup encryption failed: ' + error.message);
+            return false;
+        }
+    }
+    
+    // Create download
+    const suffix = encrypted ? '_encrypted' : '';
+    downloadJSON(payload, `${getExportFilePrefix()}_backup_${getToday()}${suffix}.json`);
+    
+    // Update backup time
+    StorageEngine.setItem('last_backup_time', new Date().toISOString());
+    document.getElementById('last-backup-time').textContent = new Date().toLocaleString();
+    
+    alert(`💾 ${encrypted ? 'Encrypted system' : 'System'} backup complete! Your 2026 destiny is now secured.`);
+    return true;
+}
+
+// Returns the plain backup object, or null when the user cancels decryption
+async function parseBackupFile(text) {
+    const parsed = JSON.parse(text);
+    
+    if (!isEncryptedBackup(parsed)) {
+        return parsed;
+    }
+    
+    const passphrase = await requestPassphrase({
+        title: '🔐 Encrypted Backup',
+        message: `Enter the passphrase for the backup from ${new Date(parsed._encrypted.createdAt).toLocaleString()}.`,
+        confirm: false
+    });
+    if (!passphrase) return null;
+    
+    return decryptBackup(parsed, passphrase);
+}
+
+function restoreSystemBackup() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.onchange = e => {
+        const file = e.target.files[0];
+        const reader = new FileReader();
+        
+        reader.onload = async event => {
+            try {
+                const backup = await parseBackupFile(event.target.result);
+                if (!backup) return;
+                
+                if (!backup._metadata || backup._metadata.system !== BACKUP_SYSTEM_NAME) {
+                    alert('❌ Invalid backup file. This does not appear to be a Hollywood Mastery backup.');
+                    return;
+                }
+                
+                const verified = await verifyBackupManifest(backup);
+                if (!verified && !confirm('⚠️ This backup was made before manifests existed and cannot be verified for completeness.\n\nContinue anyway?')) {
+                    return;
+                }
+                
+                const source = backup._metadata.profile;
+                const target = ProfileManager.getActive();
+                if (source && source.id !== target.id &&
+                    !confirm(`This backup belongs to profile "${source.name}".\n\nRestore it into "${target.name}"?`)) {
+                    return;
+                }
+                
+                migrateBackupRecords(backup);
+                showRestorePreview(backup);
+            } catch (error) {
+                alert('❌ Error restoring backup: ' + error.message);
+            }
+        };
+        
+        reader.readAsText(file);
+    };
+    
+    input.click();
+}
+
+function applyOverwriteRestore(backup) {
+    if (!confirm(`🚨 RESTORE BACKUP?\n\nThis will overwrite ALL current data with backup from ${new Date(backup._metadata.backupDate).toLocaleString()}\n\nThis action cannot be undone.`)) {
+        return;
+    }
+    
+    // Clear existing data
+    StorageEngine.keys().forEach(key => {
+        if (isBackupKey(key)) {
+            StorageEngine.removeItem(key);
+        }
+    });
+    
+    // Restore backup
+    getRestorableKeys(backup).forEach(key => {
+        StorageEngine.setItem(key, backup[key]);
+    });
+    XPLedger.rebuild();
+    
+    closeRestoreModal();
+    alert('✅ System restore complete! Refreshing...');
+    StorageEngine.flush().then(() => setTimeout(() => location.reload(), 1000));
+}
+
+// ENHANCED: Merge Restore
+// Compares a backup with current storage key by key. Keys only in the backup
+// are added, keys only on this device are kept, and conflicts are resolved by
+// the chosen policy. Logged lists (auditions, industry interactions) are
+// unioned under "keep newest" since neither side's entries are stale.
+const MERGE_POLICIES = {
+    newest: 'Keep newest',
+    backup: 'Keep backup',
+    local: 'Keep local',
+    manual: 'Decide per conflict'
+};
+
+let pendingRestore = null;
+
+function isTimestampedList(raw) {
+    try {
+        const parsed = JSON.parse(raw);
+        return Array.isArray(parsed) && parsed.every(entry => entry && entry.timestamp);
+    } catch (error) {
+        return false;
+    }
+}
+
+function mergeTimestampedLists(localRaw, backupRaw) {
+    const merged = new Map();
+    JSON.parse(localRaw).concat(JSON.parse(backupRaw)).forEach(entry => {
+        merged.set(`${entry.timestamp}|${JSON.stringify(entry)}`, entry);
+    });
+    return JSON.stringify(Array.from(merged.values())
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp)));
+}
+
+function describeRestoreConflict(key, localRaw, backupRaw) {
+    const conflict = { key, label: key, kind: 'value', choice: 'local' };
+    
+    if (isDayRecordKey(key)) {
+        const localDay = JSON.parse(localRaw);
+        const backupDay = JSON.parse(backupRaw);
+        conflict.kind = 'day';
+        conflict.label = key.replace('mastery_', '');
+        conflict.local = { xp: calculateDayXP(localDay), updatedAt: localDay.updatedAt || '' };
+        conflict.backup = { xp: calculateDayXP(backupDay), updatedAt: backupDay.updatedAt || '' };
+        conflict.choice = conflict.backup.updatedAt > conflict.local.updatedAt ? 'backup' : 'local';
+    } else if (isTimestampedList(localRaw) && isTimestampedList(backupRaw)) {
+        conflict.kind = 'list';
+        conflict.local = { entries: JSON.parse(localRaw).length };
+        conflict.backup = { entries: JSON.parse(backupRaw).length };
+    }
+    
+    return conflict;
+}
+
+function buildRestorePlan(backup) {
+    const plan = { added: [], identical: [], conflicts: [], localOnly: [], skipped: getSkippedRestoreKeys(backup) };
+    
+    getRestorableKeys(backup).forEach(key => {
+        const local = StorageEngine.getItem(key);
+        
+        if (local === null) {
+            plan.added.push(key);
+        } else if (local === backup[key]) {
+            plan.identical.push(key);
+        } else {
+            plan.conflicts.push(describeRestoreConflict(key, local, backup[key]));
+        }
+    });
+    
+    plan.localOnly = StorageEngine.keys().filter(key => isBackupKey(key) && !(key in backup));
+    plan.conflicts.sort((a, b) => a.label.localeCompare(b.label));
+    return plan;
+}
+
+// Value to write for a conflicting key, or null to keep the local copy
+function resolveRestoreConflict(conflict, policy, backup) {
+    const backupRaw = backup[conflict.key];
+    
+    switch (policy) {
+        case 'backup':
+            return backupRaw;
+        case 'local':
+            return null;
+        case 'manual':
+            return conflict.choice === 'backup' ? backupRaw : null;
+        case 'newest':
+        default:
+            if (conflict.kind === 'day') {
+                return conflict.backup.updatedAt > conflict.local.updatedAt ? backupRaw : null;
+            }
+            if (conflict.kind === 'list') {
+                return mergeTimestampedLists(StorageEngine.getItem(conflict.key), backupRaw);
+            }
+            // Settings carry no timestamp; the device in hand wins
+            return null;
+    }
+}
+
+function formatConflictSide(conflict, side, other) {
+    const data = conflict[side];
+    if (conflict.kind === 'day') {
+        const badges = [];
+        if (data.updatedAt > conflict[other].updatedAt) badges.push('<span class="restore-badge">newer</span>');
+        if (data.xp > conflict[other].xp) badges.push('<span class="restore-badge">more XP</span>');
+        const updated = data.updatedAt ? new Date(data.updatedAt).toLocaleString() : 'no timestamp';
+        return `${data.xp} XP • ${updated} ${badges.join(' ')}`;
+    }
+    if (conflict.kind === 'list') {
+        return `${data.entries} entries`;
+    }
+    return 'Different value';
+}
+
+function showRestorePreview(backup) {
+    const plan = buildRestorePlan(backup);
+    pendingRestore = { backup, plan };
+    
+    const addedDays = plan.added.filter(isDayRecordKey).length;
+    document.getElementById('restore-source').textContent =
+        `Backup from ${new Date(backup._metadata.backupDate).toLocaleString()}`;
+    document.getElementById('restore-summary').innerHTML = `
+        <div class="restore-stat"><strong>${addedDays}</strong> new days</div>
+        <div class="restore-stat"><strong>${plan.added.length - addedDays}</strong> new records</div>
+        <div class="restore-stat"><strong>${plan.conflicts.length}</strong> conflicts</div>
+        <div class="restore-stat"><strong>${plan.identical.length}</strong> identical</div>
+        <div class="restore-stat"><strong>${plan.localOnly.length}</strong> only on this device (kept)</div>
+        ${plan.skipped.length > 0 ? `
+            <div class="restore-stat" style="grid-column: 1 / -1;"><strong>${plan.skipped.length}</strong> skipped (not restorable): ${plan.skipped.map(escapeHTML).join(', ')}</div>
+        ` : ''}
+    `;
+    
+    const conflictsEl = document.getElementById('restore-conflicts');
+    if (plan.conflicts.length === 0) {
+        conflictsEl.innerHTML = '<div class="restore-empty">No conflicts — merging only adds data.</div>';
+    } else {
+        conflictsEl.innerHTML = plan.conflicts.map((conflict, index) => `
+            <div class="restore-conflict">
+                <div class="restore-conflict-title">${conflict.kind === 'day' ? '📅' : '🗂️'} ${conflict.label}</div>
+                <div class="restore-conflict-side">📱 Local: ${formatConflictSide(conflict, 'local', 'backup')}</div>
+                <div class="restore-conflict-side">💾 Backup: ${formatConflictSide(conflict, 'backup', 'local')}</div>
+                <select class="text-input restore-choice" onchange="setRestoreChoice(${index}, this.value)">
+                    <option value="local" ${conflict.choice === 'local' ? 'selected' : ''}>Keep local</option>
+                    <option value="backup" ${conflict.choice === 'backup' ? 'selected' : ''}>Keep backup</option>
+                </select>
+            </div>
+        `).join('');
     }
     
-    return {
-        focus,
-        scaryTask,
-        domainPriorities
-    };
+    document.getElementById('restore-policy').value = 'newest';
+    updateRestorePolicy('newest');
+    document.getElementById('restore-modal').classList.add('active');
 }
 
-function findWeakDomains() {
-    const last7Days = getLast7DaysData();
-    const domainAverages = {};
-    
-    Object.keys(DOMAINS).forEach(domain => {
-        const total = last7Days.reduce((sum, day) => sum + (day.domains[domain] || 0), 0);
-        domainAverages[domain] = total / last7Days.length;
+function updateRestorePolicy(policy) {
+    document.querySelectorAll('.restore-choice').forEach(select => {
+        select.style.display = policy === 'manual' ? 'block' : 'none';
+    });
+}
+
+function setRestoreChoice(index, choice) {
+    pendingRestore.plan.conflicts[index].choice = choice;
+}
+
+function applyMergeRestore() {
+    const { backup, plan } = pendingRestore;
+    const policy = document.getElementById('restore-policy').value;
+    let written = 0;
+    
+    plan.added.forEach(key => {
+        StorageEngine.setItem(key, backup[key]);
+        written++;
     });
     
-    const weakDomains = [];
-    Object.keys(domainAverages).forEach(domain => {
-        if (domainAverages[domain] < (DOMAINS[domain].target * 0.7)) {
-            weakDomains.push({
-                name: domain.charAt(0).toUpperCase() + domain.slice(1),
-                icon: getDomainIcon(domain),
-                target: DOMAINS[domain].target,
-                current: domainAverages[domain]
-            });
+    plan.conflicts.forEach(conflict => {
+        const value = resolveRestoreConflict(conflict, policy, backup);
+        if (value !== null) {
+            StorageEngine.setItem(conflict.key, value);
+            written++;
         }
     });
     
-    return weakDomains;
+    rebuildMetricCounters();
+    XPLedger.rebuild();
+    
+    closeRestoreModal();
+    alert(`✅ Merge complete (${MERGE_POLICIES[policy]}): ${written} records updated. Refreshing...`);
+    StorageEngine.flush().then(() => setTimeout(() => location.reload(), 1000));
 }
 
-function getDomainIcon(domain) {
-    const icons = {
-        creation: '🎭',
-        physical: '💪',
-        meditation: '🧘',
-        recovery: '😴'
-    };
-    return icons[domain] || '📊';
+// Monthly metric counters mirror their history lists
+function rebuildMetricCounters() {
+    StorageEngine.keys().forEach(key => {
+        const match = key.match(/^(.+)_history_(\d{4}-\d{2})$/);
+        if (match) {
+            const counterKey = `mastery_${match[1]}_${match[2]}`;
+            const count = JSON.parse(StorageEngine.getItem(key)).length.toString();
+            if (StorageEngine.getItem(counterKey) !== count) {
+                StorageEngine.setItem(counterKey, count);
+            }
+        }
+    });
 }
 
-// ENHANCED: Keyboard Shortcuts
-document.addEventListener('keydown', function(e) {
-    // Cmd/Ctrl + S for saving alignment
-    if ((e.metaKey || e.ctrlKey) && e.key === 's') {
-        e.preventDefault();
-        saveAlignment();
-    }
-    
-    // Cmd/Ctrl + K for focusing task input
-    if ((e.metaKey || e.ctrlKey) && e.key === 'k') {
-        e.preventDefault();
-        document.getElementById('task-input').focus();
-    }
-    
-    // Cmd/Ctrl + Z for undo
-    if ((e.metaKey || e.ctrlKey) && e.key === 'z') {
-        e.preventDefault();
-        undoLastAction();
-    }
-    
-    // Escape to close modals
-    if (e.key === 'Escape') {
-        closeEditModal();
-        closePreviewModal();
-    }
-});
+function confirmOverwriteRestore() {
+    applyOverwriteRestore(pendingRestore.backup);
+}
 
-// ENHANCED: Pull-to-Refresh Gesture
-let touchStartY = 0;
-document.addEventListener('touchstart', e => {
-    touchStartY = e.touches[0].clientY;
-});
+function closeRestoreModal() {
+    document.getElementById('restore-modal').classList.remove('active');
+    pendingRestore = null;
+}
 
-document.addEventListener('touchmove', e => {
-    const touchY = e.touches[0].clientY;
-    // Only trigger if at top of page and pulling down significantly
-    if (touchY - touchStartY > 100 && window.scrollY === 0) {
-        location.reload();
+// ENHANCED: Passphrase-Encrypted Backups
+// AES-GCM with a PBKDF2-derived key. The envelope header is bound to the
+// ciphertext as additional authenticated data, so editing either one makes
+// decryption fail instead of restoring altered data.
+const BACKUP_CRYPTO = {
+    kdf: 'PBKDF2',
+    hash: 'SHA-256',
+    iterations: 310000,
+    cipher: 'AES-GCM',
+    keyLength: 256,
+    saltBytes: 16,
+    ivBytes: 12
+};
+const MIN_PASSPHRASE_LENGTH = 8;
+
+class BackupDecryptionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BackupDecryptionError';
     }
-});
+}
 
-// Domain Configuration
-const DOMAINS = {
-    creation: { target: 40, categories: ['act', 'study', 'create', 'network', 'reading', 'writing', 'voice'] },
-    physical: { target: 40, categories: ['marts', 'cardio', 'gym', 'yoga', 'dance', 'stretch'] },
-    meditation: { target: 40, categories: ['meditation', 'breathwork', 'visualization', 'mindfulness'] },
-    recovery: { target: 40, categories: ['sleep', 'nutrition', 'recovery', 'planning'] }
-};
+function isEncryptedBackup(parsed) {
+    return !!(parsed && parsed._encrypted && typeof parsed.data === 'string');
+}
 
-// TASK CATEGORIES
-const TASK_CATEGORIES = {
-    act: { name: 'Act', domain: 'creation', icon: '🎭' },
-    study: { name: 'Study', domain: 'creation', icon: '📚' },
-    create: { name: 'Create', domain: 'creation', icon: '✨' },
-    network: { name: 'Network', domain: 'creation', icon: '🤝' },
-    reading: { name: 'Reading', domain: 'creation', icon: '📖' },
-    writing: { name: 'Writing', domain: 'creation', icon: '✍️' },
-    voice: { name: 'Voice', domain: 'creation', icon: '🎤' },
-    marts: { name: 'Martial Arts', domain: 'physical', icon: '🥋' },
-    cardio: { name: 'Cardio', domain: 'physical', icon: '🏃' },
-    gym: { name: 'Gym', domain: 'physical', icon: '🏋️' },
-    yoga: { name: 'Yoga', domain: 'physical', icon: '🧘' },
-    dance: { name: 'Dance', domain: 'physical', icon: '💃' },
-    stretch: { name: 'Stretching', domain: 'physical', icon: '🤸' },
-    meditation: { name: 'Meditation', domain: 'meditation', icon: '🕉️' },
-    breathwork: { name: 'Breathwork', domain: 'meditation', icon: '🌬️' },
-    visualization: { name: 'Visualization', domain: 'meditation', icon: '👁️' },
-    mindfulness: { name: 'Mindfulness', domain: 'meditation', icon: '🌿' },
-    sleep: { name: 'Sleep', domain: 'recovery', icon: '😴' },
-    nutrition: { name: 'Nutrition', domain: 'recovery', icon: '🥗' },
-    recovery: { name: 'Recovery', domain: 'recovery', icon: '🔄' },
-    planning: { name: 'Planning', domain: 'recovery', icon: '📅' },
-    scary: { name: 'Scary Task', domain: 'special', icon: '🔥', xp: 10 },
-    critical: { name: 'Critical Task', domain: 'special', icon: '⭐', xp: 5 }
-};
+function isBackupEncryptionEnabled() {
+    return StorageEngine.getItem('backup_encryption') === 'on';
+}
 
-// Goal Templates
-const GOAL_TEMPLATES = {
-    audition: "🎯 Today's Audition Focus: Nail the character with authentic emotional depth and compelling presence. Prepare thoroughly, deliver with truth, and leave lasting impression.",
-    workout: "🎯 Today's Physical Peak: Complete workout with perfect form and 10% more intensity than yesterday. Build the Hollywood physique with discipline and precision.", 
-    creation: "🎯 Today's Creative Breakthrough: Finish creative project with professional polish and unique voice. Push artistic boundaries while maintaining commercial appeal.",
-    recovery: "🎯 Today's Recovery Priority: Achieve 8+ hours quality sleep with 30min wind-down routine. Optimize nutrition and active recovery for peak performance tomorrow."
-};
+function setBackupEncryption(enabled) {
+    if (enabled && !(window.crypto && window.crypto.subtle)) {
+        alert('❌ Encryption needs a secure (https) connection in a modern browser.');
+        document.getElementById('backup-encrypt').checked = false;
+        return;
+    }
+    StorageEngine.setItem('backup_encryption', enabled ? 'on' : 'off');
+}
 
-let currentCategory = 'critical';
-let currentEditingTaskId = null;
-let currentIntensity = 'standard';
+function loadBackupEncryptionSetting() {
+    document.getElementById('backup-encrypt').checked = isBackupEncryptionEnabled();
+}
 
-// COMPETITION MODE SYSTEM
-function setIntensity(level) {
-    currentIntensity = level;
-    
-    // Update button states
-    document.querySelectorAll('.intensity-btn').forEach(btn => {
-        btn.classList.remove('active');
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
     });
-    document.querySelector(`.intensity-btn[data-level="${level}"]`).classList.add('active');
-    
-    // Update daily requirements display
-    updateIntensityRequirements(level);
-    
-    // Save to localStorage
-    localStorage.setItem('current_intensity', level);
-    
-    // Show confirmation
-    const intensityNames = {
-        standard: 'Hollywood Standard',
-        superstar: 'Superstar Mode', 
-        legend: 'Legend Protocol'
-    };
-    
-    alert(`🎯 Intensity set to: ${intensityNames[level]}`);
+    return btoa(binary);
 }
 
-function updateIntensityRequirements(level) {
-    const requirements = {
-        standard: { xp: 160, scary: 1, critical: 2 },
-        superstar: { xp: 200, scary: 2, critical: 3 },
-        legend: { xp: 240, scary: 3, critical: 4, industry: true }
-    };
-    
-    const req = requirements[level];
-    
-    // Update the validation warning
-    const warningElement = document.querySelector('.validation-warning');
-    if (warningElement) {
-        warningElement.innerHTML = `
-            <strong>🎯 ${level === 'standard' ? 'Daily' : level === 'superstar' ? 'Superstar' : 'Legend'} Requirements:</strong><br>
-            ${req.scary} Scary Task${req.scary > 1 ? 's' : ''} (10 XP) • ${req.critical} Critical Task${req.critical > 1 ? 's' : ''} (5 XP)<br>
-            <strong>Complete all for maximum momentum!</strong>
-            ${req.industry ? '<br>➕ Industry Outreach Required' : ''}
-        `;
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
     }
-    
-    // Update today's XP target display
-    document.getElementById('total-xp').textContent = `0/${req.xp}`;
-    document.getElementById('today-xp').textContent = `0/${req.xp} XP`;
+    return bytes;
 }
 
-// PREDICTIVE ANALYTICS SYSTEM
-function calculateHollywoodProbability() {
-    const streak = parseInt(document.getElementById('streak-count').textContent) || 0;
-    const tier1Auditions = parseInt(document.getElementById('tier1-auditions').textContent) || 0;
-    const callbacks = parseInt(document.getElementById('callbacks-count').textContent) || 0;
-    const roles = parseInt(document.getElementById('roles-count').textContent) || 0;
+async function deriveBackupKey(passphrase, salt, kdf) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        kdf.name,
+        false,
+        ['deriveKey']
+    );
     
-    // Industry data: Based on actual Hollywood breakthrough patterns
-    let consistencyScore = Math.min(streak * 0.8, 20); // Max 20% from consistency
-    let opportunitiesScore = Math.min(tier1Auditions * 0.6, 30); // Max 30% from opportunities  
-    let callbacksScore = Math.min(callbacks * 4, 30); // Max 30% from callbacks
-    let bookingsScore = Math.min(roles * 20, 20); // Max 20% from bookings
+    return crypto.subtle.deriveKey(
+        { name: kdf.name, salt, iterations: kdf.iterations, hash: kdf.hash },
+        material,
+        { name: BACKUP_CRYPTO.cipher, length: BACKUP_CRYPTO.keyLength },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function encryptBackup(backup, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(BACKUP_CRYPTO.saltBytes));
+    const iv = crypto.getRandomValues(new Uint8Array(BACKUP_CRYPTO.ivBytes));
+    
+    const header = {
+        system: BACKUP_SYSTEM_NAME,
+        version: BACKUP_FORMAT_VERSION,
+        createdAt: backup._metadata.backupDate,
+        kdf: {
+            name: BACKUP_CRYPTO.kdf,
+            hash: BACKUP_CRYPTO.hash,
+            iterations: BACKUP_CRYPTO.iterations,
+            salt: bytesToBase64(salt)
+        },
+        cipher: {
+            name: BACKUP_CRYPTO.cipher,
+            iv: bytesToBase64(iv)
+        }
+    };
     
-    const totalProbability = Math.min(
-        consistencyScore + opportunitiesScore + callbacksScore + bookingsScore, 
-        95 // Never 100% - stay hungry
+    const key = await deriveBackupKey(passphrase, salt, header.kdf);
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: BACKUP_CRYPTO.cipher, iv, additionalData: new TextEncoder().encode(JSON.stringify(header)) },
+        key,
+        new TextEncoder().encode(JSON.stringify(backup))
     );
     
     return {
-        total: Math.round(totalProbability),
-        breakdown: {
-            consistency: Math.round(consistencyScore),
-            opportunities: Math.round(opportunitiesScore),
-            callbacks: Math.round(callbacksScore),
-            bookings: Math.round(bookingsScore)
-        }
+        _encrypted: header,
+        data: bytesToBase64(new Uint8Array(ciphertext))
     };
 }
 
-function updateProbabilityDisplay() {
-    const probability = calculateHollywoodProbability();
+async function decryptBackup(envelope, passphrase) {
+    const header = envelope._encrypted;
+    if (header.system !== BACKUP_SYSTEM_NAME || !header.kdf || !header.cipher ||
+        header.kdf.name !== BACKUP_CRYPTO.kdf || header.cipher.name !== BACKUP_CRYPTO.cipher) {
+        throw new BackupDecryptionError('Unrecognized encrypted backup format.');
+    }
+    // The header comes from the file: a huge iteration count would hang the
+    // tab and a tiny one would weaken the key, so only ours is accepted
+    if (header.kdf.hash !== BACKUP_CRYPTO.hash || header.kdf.iterations !== BACKUP_CRYPTO.iterations) {
+        throw new BackupDecryptionError('Unsupported key derivation settings in this backup.');
+    }
     
-    // Update main score
-    document.getElementById('probability-score').textContent = `${probability.total}%`;
+    let plaintext;
+    try {
+        const key = await deriveBackupKey(passphrase, base64ToBytes(header.kdf.salt), header.kdf);
+        plaintext = await crypto.subtle.decrypt(
+            {
+                name: header.cipher.name,
+                iv: base64ToBytes(header.cipher.iv),
+                additionalData: new TextEncoder().encode(JSON.stringify(header))
+            },
+            key,
+            base64ToBytes(envelope.data)
+        );
+    } catch (error) {
+        // AES-GCM cannot tell a wrong passphrase from an altered file
+        throw new BackupDecryptionError('Wrong passphrase, or the backup file has been modified.');
+    }
     
-    // Update breakdown
-    document.getElementById('consistency-score').textContent = `${probability.breakdown.consistency}%`;
-    document.getElementById('opportunities-score').textContent = `${probability.breakdown.opportunities}%`;
-    document.getElementById('callbacks-score').textContent = `${probability.breakdown.callbacks}%`;
-    document.getElementById('bookings-score').textContent = `${probability.breakdown.bookings}%`;
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+let passphraseResolver = null;
+
+function requestPassphrase({ title, message, confirm }) {
+    document.getElementById('passphrase-title').textContent = title;
+    document.getElementById('passphrase-message').textContent = message;
+    document.getElementById('passphrase-input').value = '';
+    document.getElementById('passphrase-confirm').value = '';
+    document.getElementById('passphrase-confirm').style.display = confirm ? 'block' : 'none';
+    document.getElementById('passphrase-error').textContent = '';
+    document.getElementById('passphrase-modal').dataset.confirm = confirm ? 'true' : 'false';
+    document.getElementById('passphrase-modal').classList.add('active');
+    document.getElementById('passphrase-input').focus();
+    
+    return new Promise(resolve => {
+        passphraseResolver = resolve;
+    });
+}
+
+function submitPassphrase() {
+    const passphrase = document.getElementById('passphrase-input').value;
+    const needsConfirm = document.getElementById('passphrase-modal').dataset.confirm === 'true';
+    const errorEl = document.getElementById('passphrase-error');
     
-    // Update insight based on probability
-    let insight = '';
-    if (probability.total < 20) {
-        insight = '🚧 Foundation Building Phase - Focus on consistent daily system execution';
-    } else if (probability.total < 40) {
-        insight = '📈 Momentum Building - Increase Tier 1 audition volume and industry networking';
-    } else if (probability.total < 60) {
-        insight = '🎯 Breakthrough Imminent - Optimize callback conversion and agent relationships';
-    } else if (probability.total < 80) {
-        insight = '⭐ Industry Traction - Leverage bookings for better roles and representation';
-    } else {
-        insight = '🏆 Hollywood Ready - Maintain momentum and strategic role selection';
+    if (needsConfirm && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        errorEl.textContent = `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+        return;
+    }
+    if (needsConfirm && passphrase !== document.getElementById('passphrase-confirm').value) {
+        errorEl.textContent = 'Passphrases do not match.';
+        return;
+    }
+    if (!passphrase) {
+        errorEl.textContent = 'Passphrase is required.';
+        return;
     }
     
-    document.getElementById('probability-insight').textContent = insight;
-    
-    // Color code based on probability
-    const scoreElement = document.getElementById('probability-score');
-    if (probability.total < 30) {
-        scoreElement.style.color = '#FF3B30';
-    } else if (probability.total < 60) {
-        scoreElement.style.color = '#FF9500';
-    } else {
-        scoreElement.style.color = '#34C759';
+    closePassphraseModal(passphrase);
+}
+
+function closePassphraseModal(passphrase = null) {
+    const modal = document.getElementById('passphrase-modal');
+    if (!modal.classList.contains('active')) return;
+    
+    modal.classList.remove('active');
+    document.getElementById('passphrase-input').value = '';
+    document.getElementById('passphrase-confirm').value = '';
+    
+    if (passphraseResolver) {
+        const resolve = passphraseResolver;
+        passphraseResolver = null;
+        resolve(passphrase);
     }
 }
 
-// INDUSTRY INTELLIGENCE SYSTEM
-function rateRelationship(target, rating) {
-    const stars = document.querySelectorAll(`[data-target="${target}"] .star`);
-    
-    // Update star display
-    stars.forEach(star => {
-        const value = parseInt(star.getAttribute('data-value'));
-        if (value <= rating) {
-            star.classList.add('active');
-            star.textContent = '⭐';
-        } else {
-            star.classList.remove('active');
-            star.textContent = '☆';
+// ENHANCED: Multi-Device Sync
+// Records sync against a small HTTP endpoint (see sync-server.js). The server
+// keeps a revision per key and only accepts a push whose baseRev matches its
+// current revision; anything else comes back as a conflict that the client
+// merges and pushes again. Merges are deterministic, so every device that sees
+// the same two versions produces the same result:
+// - day records: tasks and activities are unioned by id, deletions win only
+//   over copies older than the tombstone, scalar fields follow updatedAt
+// - logged lists (auditions, industry interactions): union by timestamp
+// - everything else: last writer wins, device id breaks ties
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+const SYNC_MAX_ROUNDS = 3;
+
+class SyncError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SyncError';
+    }
+}
+
+function getItemStamp(item) {
+    return item.updated || item.timestamp || '';
+}
+
+// Deterministic ordering for two versions of the same record
+function pickNewerRecord(a, b) {
+    const stampA = a.updatedAt || '';
+    const stampB = b.updatedAt || '';
+    if (stampA !== stampB) return stampA > stampB ? [a, b] : [b, a];
+    return JSON.stringify(a) >= JSON.stringify(b) ? [a, b] : [b, a];
+}
+
+function unionById(newerItems, olderItems, tombstones) {
+    const byId = new Map();
+    
+    olderItems.concat(newerItems).forEach(item => {
+        const existing = byId.get(item.id);
+        if (!existing || getItemStamp(item) > getItemStamp(existing) ||
+            (getItemStamp(item) === getItemStamp(existing) && JSON.stringify(item) > JSON.stringify(existing))) {
+            byId.set(item.id, item);
         }
     });
     
-    // Save to localStorage
-    const relationships = JSON.parse(localStorage.getItem('industry_relationships') || '{}');
-    relationships[target] = rating;
-    localStorage.setItem('industry_relationships', JSON.stringify(relationships));
-    
-    updateProbabilityDisplay(); // Relationships affect probability
+    return Array.from(byId.values())
+        .filter(item => !tombstones[item.id] || getItemStamp(item) > tombstones[item.id])
+        .sort((a, b) => a.id - b.id);
 }
 
-function loadRelationshipRatings() {
-    const relationships = JSON.parse(localStorage.getItem('industry_relationships') || '{}');
-    
-    Object.keys(relationships).forEach(target => {
-        rateRelationship(target, relationships[target]);
+function mergeTombstones(a = {}, b = {}) {
+    const merged = { ...a };
+    Object.keys(b).forEach(id => {
+        if (!merged[id] || b[id] > merged[id]) merged[id] = b[id];
     });
+    return merged;
 }
 
-function logIndustryInteraction() {
-    const interactionType = prompt('Industry Interaction Type:\n1 - Industry Event\n2 - Strategic Follow-up\n3 - New Quality Contact\n\nEnter number:');
-    
-    if (!interactionType) return;
+function mergeDayRecords(a, b) {
+    const [newer, older] = pickNewerRecord(a, b);
+    const merged = { ...older, ...newer };
     
-    const types = {
-        '1': { key: 'events', name: 'Industry Event' },
-        '2': { key: 'followups', name: 'Strategic Follow-up' },
-        '3': { key: 'contacts', name: 'New Quality Contact' }
+    merged.tombstones = {
+        tasks: mergeTombstones(older.tombstones && older.tombstones.tasks, newer.tombstones && newer.tombstones.tasks),
+        activities: mergeTombstones(older.tombstones && older.tombstones.activities, newer.tombstones && newer.tombstones.activities)
     };
     
-    const type = types[interactionType];
-    if (!type) {
-        alert('Invalid selection');
-        return;
-    }
+    merged.tasks = unionById(newer.tasks || [], older.tasks || [], merged.tombstones.tasks);
     
-    const details = prompt(`Log ${type.name}:\n\nDetails (who, what, next steps):`);
-    if (!details || details.length < 5) {
-        alert('Interaction logging requires details (minimum 5 characters)');
-        return;
-    }
+    merged.domains = {};
+    const domainNames = new Set(Object.keys(newer.domains || {}).concat(Object.keys(older.domains || {})));
+    domainNames.forEach(domain => {
+        const activities = unionById(
+            ((newer.domains || {})[domain] || {}).activities || [],
+            ((older.domains || {})[domain] || {}).activities || [],
+            merged.tombstones.activities
+        );
+        merged.domains[domain] = {
+            total: activities.reduce((sum, activity) => sum + activity.xp, 0),
+            activities
+        };
+    });
     
-    // Save interaction
-    const month = new Date().toISOString().slice(0, 7);
-    const key = `industry_${type.key}_${month}`;
-    let interactions = JSON.parse(localStorage.getItem(key) || '[]');
+    return merged;
+}
+
+function generateDeviceId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(8));
+    return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+const SyncEngine = {
+    applyingRemote: false,
+    syncing: false,
+    timer: null,
+    
+    getConfig() {
+        return { endpoint: '', token: '', space: '', auto: false, ...safeLocalStorageGet('sync_config', {}) };
+    },
+    
+    // The server keeps one record set per account and profile. Profile ids
+    // differ between devices, so a named space can stand in for the id.
+    getSpace(config) {
+        return encodeURIComponent(config.space || ProfileManager.getActiveId());
+    },
+    
+    getState() {
+        return safeLocalStorageGet('sync_state', { deviceId: null, cursor: 0, lastSync: null, tracking: false, records: {} });
+    },
+    
+    saveState(state) {
+        StorageEngine.setItem('sync_state', JSON.stringify(state));
+    },
+    
+    init() {
+        const state = this.getState();
+        if (!state.deviceId) {
+            state.deviceId = generateDeviceId();
+        }
+        // Keys taken out of sync by a later release stop being pushed
+        Object.keys(state.records).filter(key => !this.isSyncableKey(key)).forEach(key => {
+            delete state.records[key];
+        });
+        this.saveState(state);
+        
+        StorageEngine.onChange((key, value, remote) => {
+            if (!remote) this.trackChange(key);
+        });
+        window.addEventListener('online', () => this.autoSync());
+        this.scheduleAutoSync();
+    },
+    
+    // Derived records are rebuilt locally: metric counters from their history
+    // logs, momentum snapshots from each device's own refreshes (the XP ledger
+    // is never backed up, so it is left out already)
+    isSyncableKey(key) {
+        return isBackupKey(key) && !['metric-counts', 'momentum-snapshots'].includes(getKeyFamily(key).id);
+    },
+    
+    trackChange(key) {
+        if (this.applyingRemote || !this.isSyncableKey(key)) return;
+        
+        const state = this.getState();
+        if (!state.tracking) return;
+        const meta = state.records[key] || { rev: 0 };
+        state.records[key] = { ...meta, dirty: true, updatedAt: new Date().toISOString() };
+        this.saveState(state);
+    },
+    
+    // First sync on a device, or against a new endpoint: everything already
+    // stored needs pushing, and the server's history is read from the start
+    startTracking(state) {
+        const now = new Date().toISOString();
+        state.records = {};
+        StorageEngine.keys().filter(key => this.isSyncableKey(key)).forEach(key => {
+            state.records[key] = { rev: 0, dirty: true, updatedAt: now };
+        });
+        state.cursor = 0;
+        state.tracking = true;
+    },
+    
+    // Revisions and the cursor belong to one server, so a new endpoint or
+    // account starts over: the next sync re-runs startTracking
+    resetTracking() {
+        this.saveState({ ...this.getState(), cursor: 0, lastSync: null, tracking: false, records: {} });
+    },
+    
+    async request(config, path, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.token) headers.Authorization = `Bearer ${config.token}`;
+        
+        let response;
+        try {
+            response = await fetch(`${config.endpoint.replace(/\/+$/, '')}/${path}`, {
+                method: body ? 'POST' : 'GET',
+                headers,
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            throw new SyncError(`Cannot reach sync endpoint: ${error.message}`);
+        }
+        if (!response.ok) {
+            throw new SyncError(`Sync endpoint returned ${response.status}`);
+        }
+        return response.json();
+    },
+    
+    mergeRecord(key, localRaw, localMeta, remote, deviceId) {
+        if (localRaw !== null && !remote.deleted) {
+            if (isDayRecordKey(key)) {
+                const localDay = JSON.parse(localRaw);
+                const remoteDay = JSON.parse(remote.value);
+                // A record from a newer version is kept whole rather than merged
+                if (isNewerDayRecord(localDay)) return localRaw;
+                if (isNewerDayRecord(remoteDay)) return remote.value;
+                return JSON.stringify(mergeDayRecords(localDay, remoteDay));
+            }
+            if (isTimestampedList(localRaw) && isTimestampedList(remote.value)) {
+                return mergeTimestampedLists(localRaw, remote.value);
+            }
+        }
+        
+        const localStamp = localMeta.updatedAt || '';
+        const localWins = localStamp > remote.updatedAt ||
+            (localStamp === remote.updatedAt && deviceId > remote.deviceId);
+        if (localWins) return localRaw;
+        return remote.deleted ? null : remote.value;
+    },
+    
+    writeRemoteValue(key, value) {
+        this.applyingRemote = true;
+        try {
+            if (value === null) {
+                StorageEngine.removeItem(key);
+            } else if (StorageEngine.getItem(key) !== value) {
+                StorageEngine.setItem(key, value);
+            }
+        } finally {
+            this.applyingRemote = false;
+        }
+    },
     
-    interactions.push({
-        type: type.name,
-        details: details.trim(),
-        timestamp: new Date().toISOString()
-    });
+    applyRemoteRecord(state, remote) {
+        const meta = state.records[remote.key] || { rev: 0 };
+        if (remote.rev <= meta.rev) return false;
+        
+        const remoteValue = remote.deleted ? null : remote.value;
+        let value = remoteValue;
+        if (meta.dirty) {
+            value = this.mergeRecord(remote.key, StorageEngine.getItem(remote.key), meta, remote, state.deviceId);
+        }
+        
+        this.writeRemoteValue(remote.key, value);
+        const dirty = value !== remoteValue;
+        state.records[remote.key] = {
+            rev: remote.rev,
+            dirty,
+            updatedAt: dirty ? meta.updatedAt : remote.updatedAt
+        };
+        return true;
+    },
+    
+    async pull(config, state) {
+        const path = () => `pull?since=${state.cursor}&profile=${this.getSpace(config)}`;
+        let response = await this.request(config, path());
+        // A cursor the server has not reached means its data was reset:
+        // start over so everything held here is pushed again
+        if (response.cursor < state.cursor) {
+            this.startTracking(state);
+            response = await this.request(config, path());
+        }
+        
+        let applied = 0;
+        response.records.forEach(remote => {
+            if (this.applyRemoteRecord(state, remote)) applied++;
+        });
+        state.cursor = response.cursor;
+        return applied;
+    },
+    
+    async push(config, state) {
+        const records = Object.keys(state.records)
+            .filter(key => state.records[key].dirty)
+            .map(key => {
+                const value = StorageEngine.getItem(key);
+                return {
+                    key,
+                    value,
+                    deleted: value === null,
+                    baseRev: state.records[key].rev,
+                    updatedAt: state.records[key].updatedAt,
+                    deviceId: state.deviceId
+                };
+            });
+        if (records.length === 0) return { pushed: 0, conflicts: 0 };
+        
+        const response = await this.request(config, `push?profile=${this.getSpace(config)}`, { deviceId: state.deviceId, records });
+        response.accepted.forEach(({ key, rev }) => {
+            state.records[key] = { rev, dirty: false, updatedAt: state.records[key].updatedAt };
+        });
+        const conflicts = response.conflicts.filter(Boolean);
+        conflicts.forEach(remote => this.applyRemoteRecord(state, remote));
+        
+        return { pushed: response.accepted.length, conflicts: conflicts.length };
+    },
+    
+    async sync() {
+        const config = this.getConfig();
+        if (!config.endpoint) {
+            throw new SyncError('No sync endpoint configured.');
+        }
+        if (this.syncing) return null;
+        
+        this.syncing = true;
+        const summary = { pulled: 0, pushed: 0 };
+        try {
+            const state = this.getState();
+            if (!state.tracking) this.startTracking(state);
+            
+            for (let round = 0; round < SYNC_MAX_ROUNDS; round++) {
+                summary.pulled += await this.pull(config, state);
+                const result = await this.push(config, state);
+                summary.pushed += result.pushed;
+                if (result.conflicts === 0) break;
+            }
+            
+            state.lastSync = new Date().toISOString();
+            this.saveState(state);
+        } finally {
+            this.syncing = false;
+        }
+        
+        if (summary.pulled > 0) {
+            rebuildMetricCounters();
+        }
+        return summary;
+    },
     
-    localStorage.setItem(key, JSON.stringify(interactions));
-    updateIndustryStats();
+    async autoSync() {
+        const config = this.getConfig();
+        if (!config.auto || !config.endpoint || !navigator.onLine) return;
+        
+        try {
+            const summary = await this.sync();
+            if (summary && summary.pulled > 0) {
+                renderDomainViews();
+                refreshAfterAction();
+            }
+            loadSyncStatus();
+        } catch (error) {
+            console.warn('Background sync failed:', error);
+            loadSyncStatus(error.message);
+        }
+    },
     
-    alert(`✅ ${type.name} logged!\n\nTotal this month: ${interactions.length}`);
-}
+    scheduleAutoSync() {
+        clearInterval(this.timer);
+        this.timer = setInterval(() => this.autoSync(), SYNC_INTERVAL_MS);
+    }
+};
 
-function updateIndustryStats() {
-    const month = new Date().toISOString().slice(0, 7);
-    
-    const events = JSON.parse(localStorage.getItem(`industry_events_${month}`) || '[]');
-    const followups = JSON.parse(localStorage.getItem(`industry_followups_${month}`) || '[]');
-    const contacts = JSON.parse(localStorage.getItem(`industry_contacts_${month}`) || '[]');
+function saveSyncSettings() {
+    const endpoint = document.getElementById('sync-endpoint').value.trim();
+    if (endpoint && !/^https?:\/\//.test(endpoint)) {
+        alert('❌ Sync endpoint must start with http:// or https://');
+        return;
+    }
+    const space = document.getElementById('sync-space').value.trim();
+    if (space && !/^[A-Za-z0-9_-]{1,64}$/.test(space)) {
+        alert('❌ Sync space may only use letters, numbers, - and _');
+        return;
+    }
     
-    document.getElementById('events-count').textContent = `${events.length}/4`;
-    document.getElementById('followups-count').textContent = `${followups.length}/12`;
-    document.getElementById('contacts-count').textContent = `${contacts.length}/8`;
+    const previous = SyncEngine.getConfig();
+    const config = {
+        endpoint,
+        token: document.getElementById('sync-token').value.trim(),
+        space,
+        auto: document.getElementById('sync-auto').checked
+    };
+    StorageEngine.setItem('sync_config', JSON.stringify(config));
+    if (['endpoint', 'token', 'space'].some(field => config[field] !== previous[field])) {
+        SyncEngine.resetTracking();
+    }
+    loadSyncStatus();
+    alert('✅ Sync settings saved.');
 }
 
-// CRITICAL: System Sovereignty Functions
-function backupEntireSystem() {
-    const backup = {};
+async function syncNow() {
+    const button = document.getElementById('sync-now-btn');
+    button.disabled = true;
+    button.textContent = '⏳ Syncing...';
     
-    // Backup all mastery data
-    for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key.startsWith('mastery_') || 
-            key.startsWith('industry_') || 
-            key === 'current_intensity' ||
-            key === 'mastery_goal_path' ||
-            key === 'mastery_runway_savings' ||
-            key === 'mastery_runway_expenses') {
-            backup[key] = localStorage.getItem(key);
+    try {
+        const summary = await SyncEngine.sync();
+        if (summary) {
+            renderDomainViews(); // Pulled records may include the domain config
+            refreshAfterAction();
+            alert(`✅ Sync complete: ${summary.pulled} records received, ${summary.pushed} sent.`);
         }
+        loadSyncStatus();
+    } catch (error) {
+        loadSyncStatus(error.message);
+        alert('❌ Sync failed: ' + error.message);
+    } finally {
+        button.disabled = false;
+        button.textContent = '🔁 Sync Now';
     }
-    
-    // Add metadata
-    backup._metadata = {
-        version: '2.0',
-        backupDate: new Date().toISOString(),
-        totalEntries: Object.keys(backup).length - 1,
-        system: 'Hollywood Mastery Destiny Protocol'
-    };
-    
-    // Create download
-    const dataStr = JSON.stringify(backup, null, 2);
-    const dataBlob = new Blob([dataStr], {type: 'application/json'});
-    const url = URL.createObjectURL(dataBlob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `hollywood_mastery_backup_${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
-    
-    // Update backup time
-    localStorage.setItem('last_backup_time', new Date().toISOString());
-    document.getElementById('last-backup-time').textContent = new Date().toLocaleString();
-    
-    alert('💾 System backup complete! Your 2026 destiny is now secured.');
 }
 
-function restoreSystemBackup() {
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = '.json';
-    input.onchange = e => {
-        const file = e.target.files[0];
-        const reader = new FileReader();
-        
-        reader.onload = event => {
-            try {
-                const backup = JSON.parse(event.target.result);
-                
-                if (!backup._metadata || backup._metadata.system !== 'Hollywood Mastery Destiny Protocol') {
-                    alert('❌ Invalid backup file. This does not appear to be a Hollywood Mastery backup.');
-                    return;
-                }
-                
-                if (confirm(`🚨 RESTORE BACKUP?\n\nThis will overwrite ALL current data with backup from ${new Date(backup._metadata.backupDate).toLocaleString()}\n\nThis action cannot be undone.`)) {
-                    // Clear existing data
-                    for (let i = 0; i < localStorage.length; i++) {
-                        const key = localStorage.key(i);
-                        if (key.startsWith('mastery_') || 
-                            key.startsWith('industry_') || 
-                            key === 'current_intensity' ||
-                            key === 'mastery_goal_path' ||
-                            key === 'mastery_runway_savings' ||
-                            key === 'mastery_runway_expenses') {
-                            localStorage.removeItem(key);
-                        }
-                    }
-                    
-                    // Restore backup
-                    Object.keys(backup).forEach(key => {
-                        if (key !== '_metadata') {
-                            localStorage.setItem(key, backup[key]);
-                        }
-                    });
-                    
-                    alert('✅ System restore complete! Refreshing...');
-                    setTimeout(() => location.reload(), 1000);
-                }
-            } catch (error) {
-                alert('❌ Error restoring backup: ' + error.message);
-            }
-        };
-        
-        reader.readAsText(file);
-    };
-    
-    input.click();
+function loadSyncStatus(errorMessage = '') {
+    const config = SyncEngine.getConfig();
+    const state = SyncEngine.getState();
+    
+    document.getElementById('sync-endpoint').value = config.endpoint;
+    document.getElementById('sync-token').value = config.token;
+    document.getElementById('sync-space').value = config.space;
+    document.getElementById('sync-space').placeholder = `Sync space (default: ${ProfileManager.getActiveId()})`;
+    document.getElementById('sync-auto').checked = config.auto;
+    
+    const pending = Object.keys(state.records).filter(key => state.records[key].dirty).length;
+    let status = state.lastSync ? `Last sync: ${new Date(state.lastSync).toLocaleString()}` : 'Never synced';
+    if (pending > 0) status += ` • ${pending} pending`;
+    if (errorMessage) status += ` • ⚠️ ${errorMessage}`;
+    document.getElementById('sync-status').textContent = status;
 }
 
 // Load backup time on startup
 function loadBackupStatus() {
-    const lastBackup = localStorage.getItem('last_backup_time');
+    const lastBackup = StorageEngine.getItem('last_backup_time');
     if (lastBackup) {
         document.getElementById('last-backup-time').textContent = new Date(lastBackup).toLocaleString();
     }
@@ -807,8 +6232,12 @@ function loadBackupStatus() {
 // Initialize all systems
 function initializeEnhancedSystems() {
     // Load competition mode
-    const savedIntensity = localStorage.getItem('current_intensity') || 'standard';
-    setIntensity(savedIntensity);
+    const savedIntensity = StorageEngine.getItem('current_intensity') || 'standard';
+    applyIntensity(savedIntensity);
+    // Installs from before intensity history start recording from today
+    if (safeLocalStorageGet('intensity_history', []).length === 0) {
+        recordIntensityChange(savedIntensity);
+    }
     
     // Load relationship ratings
     loadRelationshipRatings();
@@ -822,6 +6251,8 @@ function initializeEnhancedSystems() {
 }
 
 function initializeApp() {
+    loadProfileBar();
+    renderDomainViews();
     setupNavigation();
     setupTaskSystem();
     loadTodayData();
@@ -834,18 +6265,33 @@ function initializeApp() {
     updateStreakCalculator();
     updateStreakUrgency();
     loadWeekHeatmap();
+    Charts.init();
+    refreshProgressViews();
+    initFocusTimer();
+    resumeGuidedSession();
     
     // NEW: Enhanced systems
     initializeEnhancedSystems();
     loadWeeklyReview(); // Load review with goal integration
     loadBackupStatus(); // Show last backup time
+    loadBackupEncryptionSetting();
+    loadArchiveStatus(); // Show compacted history
+    loadAuditLog(); // Retroactive changes
+    loadDayBoundarySettings();
+    
+    // Multi-device sync
+    SyncEngine.init();
+    loadSyncStatus();
+    SyncEngine.autoSync();
     
     // NEW: Initialize momentum system
     updateMomentumDisplay();
     setInterval(updateMomentumDisplay, 60000);
     
-    // Set up undo button
-    document.getElementById('undo-action').addEventListener('click', undoLastAction);
+    // Restore today's undo/redo stacks
+    loadActionHistory();
+    initDayRolloverWatch();
+    initCrossTabRefresh();
 }
 
 function setupNavigation() {
@@ -864,21 +6310,19 @@ function setupNavigation() {
             if (targetSection) {
                 targetSection.classList.add('active');
             }
+            
+            if (sectionId === 'progress' && progressViewsStale) {
+                refreshProgressViews();
+            } else {
+                // Charts in a section that was hidden were drawn at a default width
+                Charts.redraw();
+            }
         });
     });
 }
 
 function setupTaskSystem() {
-    const taskCats = document.querySelectorAll('.task-category');
-    
-    taskCats.forEach(btn => {
-        btn.addEventListener('click', function() {
-            taskCats.forEach(b => b.classList.remove('active'));
-            this.classList.add('active');
-            currentCategory = this.dataset.category;
-        });
-    });
-
+    // Category buttons are rendered from the domain config (selectTaskCategory)
     document.getElementById('task-input').addEventListener('keypress', function(e) {
         if (e.key === 'Enter') {
             addTask();
@@ -896,11 +6340,6 @@ function addTask() {
         return;
     }
 
-    const today = getToday();
-    let data = safeLocalStorageGet(`mastery_${today}`, {});
-    
-    if (!data.tasks) data.tasks = [];
-    
     const task = {
         id: Date.now(),
         text: taskText,
@@ -910,26 +6349,49 @@ function addTask() {
         timestamp: new Date().toISOString()
     };
     
-    data.tasks.push(task);
-    safeLocalStorageSet(`mastery_${today}`, data);
+    // Defaults to the day open in the day picker, which may be a past day
+    const today = getToday();
+    const dueDate = document.getElementById('task-due').value || getViewedDate();
+    if (dueDate < today && dueDate !== getViewedDate()) {
+        showError('Tasks can only be scheduled for today or later');
+        return;
+    }
+    
+    const repeat = document.getElementById('task-repeat').value;
+    if (repeat && dueDate < today) {
+        showError('Recurring tasks start today or later');
+        return;
+    }
+    if (repeat) {
+        if (!createRecurringTask(task, repeat, dueDate)) return;
+        document.getElementById('task-repeat').value = '';
+        renderRecurringTasks();
+    } else {
+        executeAction(new TaskAction('add', dueDate, { task }));
+    }
     
     document.getElementById('task-input').value = '';
-    loadTodayTasks();
-    updateDomainProgress();
+    document.getElementById('task-due').value = '';
     hideError();
 }
 
 function toggleTask(taskId) {
-    const today = getToday();
-    let data = safeLocalStorageGet(`mastery_${today}`, {});
+    const date = getViewedDate();
+    let data = safeLocalStorageGet(`mastery_${date}`, {});
     
     if (data.tasks) {
         const task = data.tasks.find(t => t.id === taskId);
         if (task) {
-            task.completed = !task.completed;
-            safeLocalStorageSet(`mastery_${today}`, data);
-            loadTodayTasks();
-            updateDomainProgress();
+            // The checklist follows the task: every step ticks on completion and clears on reopening
+            const completed = !task.completed;
+            const toggle = { taskId, completed };
+            if (task.subtasks && task.subtasks.length > 0) {
+                toggle.subtasks = {
+                    before: task.subtasks,
+                    after: task.subtasks.map(subtask => ({ ...subtask, done: completed }))
+                };
+            }
+            executeAction(new TaskAction('toggle', date, toggle));
             
             // Animation
             const taskElement = document.querySelector(`[onclick="toggleTask(${taskId})"]`).closest('.task-item');
@@ -944,21 +6406,13 @@ function toggleTask(taskId) {
 }
 
 function addQuickDomainXP(domain, amount) {
-    const today = getToday();
-    let data = safeLocalStorageGet(`mastery_${today}`, {});
-    
-    if (!data.domains) data.domains = {};
-    if (!data.domains[domain]) data.domains[domain] = { total: 0, activities: [] };
-    
-    data.domains[domain].total += amount;
-    data.domains[domain].activities.push({
+    executeAction(new DomainXPAction(getViewedDate(), domain, {
+        id: Date.now(),
         category: domain,
         xp: amount,
         timestamp: new Date().toISOString(),
-        quick: true
-    });
-    
-    safeLocalStorageSet(`mastery_${today}`, data);
+        source: 'quick'
+    }));
     
     // Visual feedback
     const badge = document.getElementById(`compact-${domain}-xp`);
@@ -966,47 +6420,42 @@ function addQuickDomainXP(domain, amount) {
         badge.classList.add('xp-pulse');
         setTimeout(() => badge.classList.remove('xp-pulse'), 800);
     }
-    
-    updateDomainProgress();
 }
 
-function addDomainActivity(domain, category, xp) {
-    const today = getToday();
-    let data = safeLocalStorageGet(`mastery_${today}`, {});
-    
-    if (!data.domains) data.domains = {};
-    if (!data.domains[domain]) data.domains[domain] = { total: 0, activities: [] };
-    
-    data.domains[domain].total += xp;
-    data.domains[domain].activities.push({
+// details: { quantity, unit, notes }, all optional
+function addDomainActivity(domain, category, xp, details = {}) {
+    const activity = {
+        id: Date.now(),
         category: category,
         xp: xp,
         timestamp: new Date().toISOString(),
-        description: `${category} activity`
-    });
+        description: details.notes || `${getCategoryInfo(category).name} activity`,
+        source: 'detailed'
+    };
+    if (details.quantity) {
+        activity.quantity = details.quantity;
+        activity.unit = details.unit;
+    }
+    if (details.notes) activity.notes = details.notes;
     
-    safeLocalStorageSet(`mastery_${today}`, data);
-    updateDomainProgress();
+    executeAction(new DomainXPAction(getViewedDate(), domain, activity));
     
     // Show confirmation
-    alert(`✅ ${xp} XP added to ${domain} - ${category}`);
+    alert(`✅ ${xp} XP added to ${getDomainInfo(domain).name} - ${getCategoryInfo(category).name}`);
 }
 
 function updateStreakUrgency() {
-    const now = new Date();
-    const hour = now.getHours();
-    const todayComplete = checkTodayCompletion();
+    const hoursLeft = DateService.getHoursUntilDayEnd();
+    const evaluation = evaluateStreakDay(getToday());
     const urgencyElement = document.getElementById('streak-urgency-alert');
     
-    if (!todayComplete && hour >= 18) {
-        const midnight = new Date();
-        midnight.setHours(24, 0, 0, 0);
-        const hoursLeft = ((midnight - now) / (1000 * 60 * 60)).toFixed(1);
-        
+    // Final six hours of the logical day (6 pm with a midnight rollover)
+    if (evaluation.status === 'pending' && hoursLeft <= 6) {
+        const needed = evaluation.checks.filter(check => !check.met).map(check => check.label).join(' + ');
         urgencyElement.innerHTML = `
-            ⚡ STREAK COUNTDOWN: ${hoursLeft}h • Need 160 XP + Alignment
+            ⚡ STREAK COUNTDOWN: ${hoursLeft.toFixed(1)}h • Need ${needed}
             <div class="urgency-progress">
-                <div class="urgency-fill" style="width: ${(hour/24)*100}%"></div>
+                <div class="urgency-fill" style="width: ${((24 - hoursLeft) / 24) * 100}%"></div>
             </div>
         `;
         urgencyElement.style.display = 'block';
@@ -1016,43 +6465,23 @@ function updateStreakUrgency() {
 }
 
 function checkTodayCompletion() {
-    const today = getToday();
-    const data = safeLocalStorageGet(`mastery_${today}`, {});
-    return !!(data.alignment && (data.totalXP >= 160));
+    return evaluateStreakDay(getToday()).status === 'met';
 }
 
+const STREAK_CHECK_ICONS = { xp: '⚡', scary: '🔥', critical: '⭐', industry: '🤝', alignment: '📝' };
+
 function updateStreakCalculator() {
-    const today = getToday();
-    const data = safeLocalStorageGet(`mastery_${today}`, {});
-    
-    let currentXP = data.totalXP || 0;
-    if (!data.totalXP) {
-        currentXP = 0;
-        if (data.domains) {
-            Object.keys(data.domains).forEach(domain => {
-                currentXP += data.domains[domain].total;
-            });
-        }
-        if (data.tasks) {
-            data.tasks.forEach(task => {
-                if (task.completed) currentXP += task.xp;
-            });
-        }
-    }
-    
-    const xpNeeded = Math.max(0, 160 - currentXP);
-    const alignmentDone = data.alignment;
+    const evaluation = evaluateStreakDay(getViewedDate());
     
-    const calculatorHTML = `
-        <div class="calc-item ${currentXP >= 160 ? 'complete' : ''}">
-            <span>${currentXP >= 160 ? '✅' : '⚡'}</span>
-            ${currentXP >= 160 ? '160+ XP Complete' : `${xpNeeded} XP Needed`}
+    let calculatorHTML = evaluation.checks.map(check => `
+        <div class="calc-item ${check.met ? 'complete' : ''}">
+            <span>${check.met ? '✅' : STREAK_CHECK_ICONS[check.id]}</span>
+            ${check.met ? `${check.label} Complete` : check.detail}
         </div>
-        <div class="calc-item ${alignmentDone ? 'complete' : ''}">
-            <span>${alignmentDone ? '✅' : '📝'}</span>
-            ${alignmentDone ? 'Alignment Saved' : 'Alignment Required'}
-        </div>
-    `;
+    `).join('');
+    if (evaluation.status === 'rest') {
+        calculatorHTML += '<div class="calc-item complete"><span>🛌</span> Rest day planned</div>';
+    }
     
     document.getElementById('streak-calculator-container').innerHTML = calculatorHTML;
     document.getElementById('progress-calculator').innerHTML = calculatorHTML;
@@ -1061,33 +6490,19 @@ function updateStreakCalculator() {
 function loadWeekHeatmap() {
     const heatmapElement = document.getElementById('week-heatmap');
     const days = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
-    const today = new Date();
-    const startOfWeek = new Date(today);
-    startOfWeek.setDate(today.getDate() - today.getDay());
+    const today = getToday();
+    const startOfWeek = DateService.addDays(today, -DateService.getDayOfWeek(today));
     
     let heatmapHTML = '';
     
     for (let i = 0; i < 7; i++) {
-        const date = new Date(startOfWeek);
-        date.setDate(startOfWeek.getDate() + i);
-        const dateString = date.toISOString().split('T')[0];
-        const data = safeLocalStorageGet(`mastery_${dateString}`, {});
-        
-        let xp = 0;
-        if (data.domains) {
-            Object.keys(data.domains).forEach(domain => {
-                xp += data.domains[domain].total;
-            });
-        }
-        if (data.tasks) {
-            data.tasks.forEach(task => {
-                if (task.completed) xp += task.xp;
-            });
-        }
+        const dateString = DateService.addDays(startOfWeek, i);
+        const xp = XPLedger.getDayXP(dateString);
         
+        const target = getIntensityForDate(dateString).xp;
         let heatLevel = 'low';
-        if (xp >= 160) heatLevel = 'high';
-        else if (xp >= 100) heatLevel = 'medium';
+        if (xp >= target) heatLevel = 'high';
+        else if (xp >= target * 0.6) heatLevel = 'medium';
         
         heatmapHTML += `
             <div class="heat-day" data-xp="${xp}">
@@ -1108,8 +6523,8 @@ function applyGoalTemplate(type) {
 }
 
 function editTask(taskId) {
-    const today = getToday();
-    const data = safeLocalStorageGet(`mastery_${today}`, {});
+    const date = getViewedDate();
+    const data = safeLocalStorageGet(`mastery_${date}`, {});
     
     if (data.tasks) {
         const task = data.tasks.find(t => t.id === taskId);
@@ -1117,7 +6532,22 @@ function editTask(taskId) {
             currentEditingTaskId = taskId;
             document.getElementById('edit-task-text').value = task.text;
             document.getElementById('edit-task-xp').value = task.xp;
-            document.getElementById('edit-task-category').value = task.category;
+            populateTaskCategoryOptions(task.category);
+            
+            // Series instances can be edited alone or together with their series
+            const hasSeries = task.seriesId && getRecurringTasks().some(series => series.id === task.seriesId);
+            document.getElementById('edit-task-scope-row').style.display = hasSeries ? 'block' : 'none';
+            document.getElementById('edit-task-scope').value = 'instance';
+            // XP already earned belongs to the day the work was done, so a
+            // task with progress stays where it is
+            const dateInput = document.getElementById('edit-task-date');
+            dateInput.value = date;
+            dateInput.min = date;
+            dateInput.disabled = getTaskEarnedXP(task) > 0;
+            dateInput.title = dateInput.disabled ? 'Tasks with completed work stay on their day' : 'Due date';
+            document.getElementById('edit-task-subtasks').value = (task.subtasks || []).map(subtask => subtask.text).join('\n');
+            document.getElementById('edit-task-notes').value = task.notes || '';
+            document.getElementById('edit-task-links').value = formatTaskLinks(task.links);
             document.getElementById('edit-modal').classList.add('active');
         }
     }
@@ -1125,14 +6555,14 @@ function editTask(taskId) {
 
 function deleteTask(taskId) {
     if (confirm('Are you sure you want to delete this task?')) {
-        const today = getToday();
-        let data = safeLocalStorageGet(`mastery_${today}`, {});
+        const date = getViewedDate();
+        const data = safeLocalStorageGet(`mastery_${date}`, {});
         
         if (data.tasks) {
-            data.tasks = data.tasks.filter(t => t.id !== taskId);
-            safeLocalStorageSet(`mastery_${today}`, data);
-            loadTodayTasks();
-            updateDomainProgress();
+            const index = data.tasks.findIndex(t => t.id === taskId);
+            if (index !== -1) {
+                executeAction(new TaskAction('delete', date, { task: data.tasks[index], index }));
+            }
         }
     }
 }
@@ -1141,31 +6571,51 @@ function saveTaskEdit() {
     const taskText = document.getElementById('edit-task-text').value.trim();
     const xpValue = parseInt(document.getElementById('edit-task-xp').value) || 0;
     const category = document.getElementById('edit-task-category').value;
+    const dueDate = document.getElementById('edit-task-date').value || getViewedDate();
+    const notes = document.getElementById('edit-task-notes').value.trim();
+    const links = parseTaskLinks(document.getElementById('edit-task-links').value);
     
     if (!taskText) {
         alert('Task description is required');
         return;
     }
+    
+    if (!links) {
+        alert('Links must be http:// or https:// addresses, one per line (optionally "Label | URL")');
+        return;
+    }
 
     if (xpValue <= 0) {
         alert('XP value must be greater than 0');
         return;
     }
 
-    const today = getToday();
-    let data = safeLocalStorageGet(`mastery_${today}`, {});
+    const date = getViewedDate();
+    let data = safeLocalStorageGet(`mastery_${date}`, {});
     
     if (data.tasks && currentEditingTaskId) {
         const task = data.tasks.find(t => t.id === currentEditingTaskId);
         if (task) {
-            task.text = taskText;
-            task.xp = xpValue;
-            task.category = category;
-            task.updated = new Date().toISOString();
-            
-            safeLocalStorageSet(`mastery_${today}`, data);
-            loadTodayTasks();
-            updateDomainProgress();
+            const subtasks = parseSubtaskLines(document.getElementById('edit-task-subtasks').value, task.subtasks);
+            executeAction(new TaskAction('edit', date, {
+                taskId: task.id,
+                before: {
+                    text: task.text, xp: task.xp, category: task.category, updated: task.updated || null,
+                    subtasks: task.subtasks || null, notes: task.notes || null, links: task.links || null
+                },
+                after: {
+                    text: taskText, xp: xpValue, category: category, updated: new Date().toISOString(),
+                    subtasks: subtasks.length > 0 ? subtasks : null, notes: notes || null, links: links.length > 0 ? links : null
+                }
+            }));
+            if (task.seriesId && document.getElementById('edit-task-scope').value === 'series') {
+                updateRecurringTask(task.seriesId, { text: taskText, xp: xpValue, category });
+                renderRecurringTasks();
+            }
+            if (dueDate > date && getTaskEarnedXP(task) === 0) {
+                const edited = safeLocalStorageGet(`mastery_${date}`, {}).tasks.find(t => t.id === task.id);
+                executeAction(new TaskMoveAction(edited, date, dueDate));
+            }
             closeEditModal();
         }
     }
@@ -1177,8 +6627,8 @@ function closeEditModal() {
 }
 
 function loadTodayTasks() {
-    const today = getToday();
-    const data = safeLocalStorageGet(`mastery_${today}`, {});
+    const date = getViewedDate();
+    const data = safeLocalStorageGet(`mastery_${date}`, {});
     const tasksList = document.getElementById('tasks-list');
     
     tasksList.innerHTML = '';
@@ -1193,19 +6643,24 @@ function loadTodayTasks() {
         const taskElement = document.createElement('div');
         taskElement.className = 'task-item';
         
-        const categoryInfo = TASK_CATEGORIES[task.category];
+        const categoryInfo = getCategoryInfo(task.category);
         const badge = task.category === 'scary' ? '<span class="scary-badge">SCARY</span>' : 
                      task.category === 'critical' ? '<span class="critical-badge">CRITICAL</span>' : '';
+        const subtasks = task.subtasks || [];
+        const subtaskProgress = subtasks.length > 0
+            ? ` • ${subtasks.filter(subtask => subtask.done).length}/${subtasks.length} steps (${getTaskEarnedXP(task)} XP earned)`
+            : '';
         
         taskElement.innerHTML = `
             <div class="task-checkbox ${task.completed ? 'checked' : ''}" onclick="toggleTask(${task.id})"></div>
             <div class="task-content">
                 <div class="task-text">
-                    ${categoryInfo.icon} ${task.text} ${badge}
+                    ${escapeHTML(categoryInfo.icon)} ${escapeHTML(task.text)} ${badge}
                 </div>
                 <div class="task-meta">
-                    ${categoryInfo.name} • ${task.xp} XP
+                    ${escapeHTML(categoryInfo.name)} • ${task.xp} XP${task.seriesId ? ' • 🔁' : ''}${subtaskProgress}
                 </div>
+                ${renderTaskDetails(task)}
             </div>
             <div class="task-actions">
                 <button class="task-action-btn edit" onclick="editTask(${task.id})">✏️</button>
@@ -1220,8 +6675,8 @@ function loadTodayTasks() {
 }
 
 function updateTaskStats() {
-    const today = getToday();
-    const data = safeLocalStorageGet(`mastery_${today}`, {});
+    const date = getViewedDate();
+    const data = safeLocalStorageGet(`mastery_${date}`, {});
     
     let scaryCount = 0;
     let criticalCount = 0;
@@ -1245,58 +6700,25 @@ function updateTaskStats() {
 }
 
 function updateDomainProgress() {
-    const today = getToday();
-    const data = safeLocalStorageGet(`mastery_${today}`, {});
-    
-    let totalXP = 0;
-    let domainTotals = {};
-    
-    // Initialize domain totals
-    Object.keys(DOMAINS).forEach(domain => {
-        domainTotals[domain] = 0;
-    });
-    
-    // Calculate from domain activities
-    if (data.domains) {
-        Object.keys(data.domains).forEach(domain => {
-            domainTotals[domain] = data.domains[domain].total;
-            totalXP += data.domains[domain].total;
-        });
-    }
-    
-    // Calculate from tasks
-    if (data.tasks) {
-        data.tasks.forEach(task => {
-            if (task.completed) {
-                const categoryInfo = TASK_CATEGORIES[task.category];
-                if (categoryInfo.domain !== 'special') {
-                    domainTotals[categoryInfo.domain] += task.xp;
-                }
-                totalXP += task.xp;
-            }
-        });
-    }
+    const date = getViewedDate();
+    const summary = XPLedger.getDaySummary(date);
+    const totalXP = summary.total;
     
-    // Get current intensity target
-    const intensityTargets = {
-        standard: 160,
-        superstar: 200,
-        legend: 240
-    };
-    const targetTotal = intensityTargets[currentIntensity] || 160;
+    // Target of the intensity in effect on the viewed day
+    const targetTotal = getIntensityForDate(date).xp;
     
     // Update domain displays (show target but allow unlimited)
-    Object.keys(DOMAINS).forEach(domain => {
-        const target = DOMAINS[domain].target;
-        const current = domainTotals[domain];
+    DomainConfig.getDomains().forEach(domain => {
+        const target = domain.target;
+        const current = summary.domains[domain.id] || 0;
         const percentage = Math.min((current / target) * 100, 100);
         const displayText = current >= target ? `${current}+/${target}` : `${current}/${target}`;
         
-        document.getElementById(`compact-${domain}-xp`).textContent = displayText;
-        document.getElementById(`${domain}-total`).textContent = `${current}/${target} XP`;
+        document.getElementById(`compact-${domain.id}-xp`).textContent = displayText;
+        document.getElementById(`${domain.id}-total`).textContent = `${current}/${target} XP`;
         
         // Update progress bars
-        const progressFill = document.querySelector(`.compact-progress-fill.${domain}`);
+        const progressFill = document.getElementById(`compact-${domain.id}-fill`);
         if (progressFill) {
             progressFill.style.width = `${percentage}%`;
         }
@@ -1308,25 +6730,30 @@ function updateDomainProgress() {
     document.getElementById('total-xp').textContent = displayTotal;
     document.getElementById('today-xp').textContent = displayTotal;
     
+    renderDomainActivityLogs();
+    renderFocusHistory();
+    
     // Update streak calculator and probability
     updateStreakCalculator();
     updateProbabilityDisplay();
-    
-    // Store total XP for streak calculations
-    if (data.alignment) {
-        data.totalXP = totalXP;
-        safeLocalStorageSet(`mastery_${today}`, data);
-    }
 }
 
 function loadTodayData() {
+    // Only today's first open carries tasks over and adds routine copies
+    if (getViewedDate() === getToday()) {
+        carryOverTasks(getToday());
+        materializeRecurringTasks(getToday());
+    }
+    document.getElementById('alignment-reason').value = safeLocalStorageGet(`mastery_${getViewedDate()}`, {}).alignmentReason || '';
     loadTodayTasks();
+    renderRecurringTasks();
+    renderUpcomingTasks();
     updateDomainProgress();
 }
 
 function loadTodaysGoal() {
     const today = getToday();
-    const goal = localStorage.getItem(`mastery_todays_goal_${today}`) || '';
+    const goal = StorageEngine.getItem(`mastery_todays_goal_${today}`) || '';
     const displayElement = document.getElementById('todays-goal-display');
     
     if (goal) {
@@ -1353,113 +6780,46 @@ function saveAlignment() {
         return;
     }
     
-    // Calculate current total XP
-    const today = getToday();
-    const data = safeLocalStorageGet(`mastery_${today}`, {});
-    
-    let totalXP = 0;
-    
-    // Calculate from domain activities
-    if (data.domains) {
-        Object.keys(data.domains).forEach(domain => {
-            totalXP += data.domains[domain].total;
-        });
-    }
-    
-    // Calculate from tasks
-    if (data.tasks) {
-        data.tasks.forEach(task => {
-            if (task.completed) {
-                totalXP += task.xp;
-            }
-        });
+    const date = getViewedDate();
+    if (!canClaimAlignment(date)) {
+        alert(`❌ Alignment can only be claimed up to ${ALIGNMENT_BACKFILL_DAYS} days back`);
+        return;
     }
+    const data = safeLocalStorageGet(`mastery_${date}`, {});
+    const totalXP = XPLedger.getDayXP(date);
     
-    // Check if minimum XP requirement met
-    if (totalXP < 160) {
-        alert(`❌ Need minimum 160 XP for streak. Current: ${totalXP} XP`);
+    // Every requirement of today's intensity must be met before alignment
+    const unmet = evaluateStreakDay(date).checks.filter(check => check.id !== 'alignment' && !check.met);
+    if (unmet.length > 0) {
+        alert(`❌ ${getIntensityForDate(date).name} requirements not met:\n\n${unmet.map(check => `• ${check.detail}`).join('\n')}`);
         return;
     }
     
-    data.alignment = true;
-    data.alignmentReason = reason;
-    data.alignmentTime = new Date().toISOString();
-    data.totalXP = totalXP;
-    
-    safeLocalStorageSet(`mastery_${today}`, data);
+    executeAction(new AlignmentAction(date, {
+        alignment: !!data.alignment,
+        alignmentReason: data.alignmentReason || null,
+        alignmentTime: data.alignmentTime || null
+    }, {
+        alignment: true,
+        alignmentReason: reason,
+        alignmentTime: new Date().toISOString()
+    }));
     
     alert(`✅ Alignment saved! ${totalXP} XP recorded. Streak updated.`);
-    loadStreak();
 }
 
 function loadStreak() {
-    const now = new Date();
-    const currentHour = now.getHours();
-    
-    let currentStreak = 0;
-    let streakAtRisk = false;
-    
-    const today = getToday();
-    const todayData = safeLocalStorageGet(`mastery_${today}`, {});
-    
-    // Calculate today's XP
-    let todayXP = todayData.totalXP || 0;
-    if (!todayData.totalXP) {
-        todayXP = 0;
-        if (todayData.domains) {
-            Object.keys(todayData.domains).forEach(domain => {
-                todayXP += todayData.domains[domain].total;
-            });
-        }
-        if (todayData.tasks) {
-            todayData.tasks.forEach(task => {
-                if (task.completed) {
-                    todayXP += task.xp;
-                }
-            });
-        }
-    }
+    const streak = calculateStreak();
+    const currentStreak = streak.current;
+    const todayStatus = streak.days.length > 0 ? streak.days[streak.days.length - 1].status : 'pending';
+    const todayComplete = todayStatus === 'met';
     
-    const todayComplete = todayData.alignment && todayXP >= 160;
+    // Final four hours of the logical day (8 pm with a midnight rollover)
+    const streakAtRisk = todayStatus === 'pending' && DateService.getHoursUntilDayEnd() <= 4;
     
-    if (!todayComplete && currentHour >= 20) {
-        streakAtRisk = true;
-    }
-    
-    // Count backwards for streak
-    for (let i = 1; i <= 30; i++) {
-        const date = new Date(now);
-        date.setDate(now.getDate() - i);
-        const dateString = date.toISOString().split('T')[0];
-        const data = safeLocalStorageGet(`mastery_${dateString}`, {});
-        
-        if (data.alignment) {
-            let dayXP = data.totalXP || 0;
-            if (!data.totalXP) {
-                dayXP = 0;
-                if (data.domains) {
-                    Object.keys(data.domains).forEach(domain => {
-                        dayXP += data.domains[domain].total;
-                    });
-                }
-                if (data.tasks) {
-                    data.tasks.forEach(task => {
-                        if (task.completed) {
-                            dayXP += task.xp;
-                        }
-                    });
-                }
-            }
-            
-            if (dayXP >= 160) {
-                currentStreak++;
-            } else {
-                break;
-            }
-        } else {
-            break;
-        }
-    }
+    document.getElementById('streak-freezes').textContent =
+        `❄️ ${streak.freezes}/${STREAK_FREEZE_LIMIT} streak freezes • 1 earned every ${STREAK_FREEZE_INTERVAL} streak days`;
+    renderStreakHistory(buildStreakHistory(streak.days));
     
     const streakDisplay = document.getElementById('streak-count');
     const progressStreak = document.getElementById('progress-streak');
@@ -1487,12 +6847,12 @@ function saveGoalPath() {
         todaysGoal: document.getElementById('todays-goal').value
     };
     
-    localStorage.setItem('mastery_goal_path', JSON.stringify(goalPath));
+    StorageEngine.setItem('mastery_goal_path', JSON.stringify(goalPath));
     
     // Also save today's goal separately for today's display
     const today = getToday();
     if (goalPath.todaysGoal.trim()) {
-        localStorage.setItem(`mastery_todays_goal_${today}`, goalPath.todaysGoal.trim());
+        StorageEngine.setItem(`mastery_todays_goal_${today}`, goalPath.todaysGoal.trim());
         loadTodaysGoal();
     }
     
@@ -1500,7 +6860,7 @@ function saveGoalPath() {
 }
 
 function loadGoalPath() {
-    const goalPath = JSON.parse(localStorage.getItem('mastery_goal_path') || '{}');
+    const goalPath = JSON.parse(StorageEngine.getItem('mastery_goal_path') || '{}');
     
     if (goalPath.ultimateAim) {
         document.getElementById('ultimate-aim').value = goalPath.ultimateAim;
@@ -1522,10 +6882,10 @@ function loadGoalPath() {
 // ENHANCED: Review system with goal integration
 function loadWeeklyReview() {
     const weekStart = getWeekStart();
-    const reviewData = JSON.parse(localStorage.getItem(`mastery_review_${weekStart}`) || '{}');
+    const reviewData = JSON.parse(StorageEngine.getItem(`mastery_review_${weekStart}`) || '{}');
     
     // Load current goals for the closed-loop system
-    const goalPath = JSON.parse(localStorage.getItem('mastery_goal_path') || '{}');
+    const goalPath = JSON.parse(StorageEngine.getItem('mastery_goal_path') || '{}');
     
     document.getElementById('weekly-goal-display').textContent = 
         goalPath.weeklyGoals || 'No weekly goal set. Set in Goals section.';
@@ -1538,7 +6898,7 @@ function loadWeeklyReview() {
     document.getElementById('next-actions').value = reviewData.nextActions || '';
 }
 
-function saveWeeklyReview() {
+async function saveWeeklyReview() {
     const weekStart = getWeekStart();
     const reviewData = {
         evidence: document.getElementById('proof-evidence').value,
@@ -1552,12 +6912,12 @@ function saveWeeklyReview() {
         }
     };
     
-    localStorage.setItem(`mastery_review_${weekStart}`, JSON.stringify(reviewData));
+    StorageEngine.setItem(`mastery_review_${weekStart}`, JSON.stringify(reviewData));
     
     // Auto-backup on weekly review completion
-    backupEntireSystem();
+    const backedUp = await backupEntireSystem();
     
-    alert('✅ Weekly review saved! System backup completed.');
+    alert(backedUp ? '✅ Weekly review saved! System backup completed.' : '✅ Weekly review saved! Backup was skipped.');
 }
 
 function incrementMetric(metricId) {
@@ -1577,39 +6937,34 @@ function incrementMetric(metricId) {
         return;
     }
     
-    const month = new Date().toISOString().slice(0, 7);
+    const month = DateService.getCurrentMonth();
     const historyKey = `${metricId}_history_${month}`;
-    let history = JSON.parse(localStorage.getItem(historyKey) || '[]');
     
-    history.push({
+    executeAction(new LogEntryAction(historyKey, {
         date: today,
         project: detail.trim(),
         timestamp: new Date().toISOString()
-    });
+    }, `Logged ${metricDetails[metricId]}`, `mastery_${metricId}_${month}`));
     
-    localStorage.setItem(historyKey, JSON.stringify(history));
-    
-    const key = `mastery_${metricId}_${month}`;
-    localStorage.setItem(key, history.length.toString());
-    document.getElementById(metricId).textContent = history.length;
+    const history = safeLocalStorageGet(historyKey, []);
     
     alert(`✅ Logged: ${detail}\n\nTotal this month: ${history.length}`);
 }
 
 function loadMetrics() {
-    const month = new Date().toISOString().slice(0, 7);
+    const month = DateService.getCurrentMonth();
     const metrics = ['tier1-auditions', 'tier2-auditions', 'callbacks-count', 'roles-count'];
     
     metrics.forEach(metric => {
         const historyKey = `${metric}_history_${month}`;
-        let history = JSON.parse(localStorage.getItem(historyKey) || '[]');
+        let history = JSON.parse(StorageEngine.getItem(historyKey) || '[]');
         document.getElementById(metric).textContent = history.length;
     });
 }
 
 function generateProgressReport() {
     const weekStart = getWeekStart();
-    const reviewData = JSON.parse(localStorage.getItem(`mastery_review_${weekStart}`) || '{}');
+    const reviewData = JSON.parse(StorageEngine.getItem(`mastery_review_${weekStart}`) || '{}');
     
     let report = `WEEKLY PROGRESS REPORT - ${weekStart}\n\n`;
     report += `EVIDENCE:\n${reviewData.evidence || 'No evidence recorded this week.'}\n\n`;
@@ -1641,13 +6996,13 @@ function updateRunway() {
         display.className = 'runway-value status-good';
     }
     
-    localStorage.setItem('mastery_runway_savings', savings);
-    localStorage.setItem('mastery_runway_expenses', expenses);
+    StorageEngine.setItem('mastery_runway_savings', savings);
+    StorageEngine.setItem('mastery_runway_expenses', expenses);
 }
 
 function loadRunway() {
-    const savings = localStorage.getItem('mastery_runway_savings') || '15000';
-    const expenses = localStorage.getItem('mastery_runway_expenses') || '3500';
+    const savings = StorageEngine.getItem('mastery_runway_savings') || '15000';
+    const expenses = StorageEngine.getItem('mastery_runway_expenses') || '3500';
     
     document.getElementById('current-savings').value = savings;
     document.getElementById('monthly-expenses').value = expenses;
@@ -1656,22 +7011,18 @@ function loadRunway() {
 
 // EXPORT FUNCTIONS
 function setDateRange(range) {
-    const today = new Date();
+    const today = getToday();
     const startDate = document.getElementById('export-start-date');
     const endDate = document.getElementById('export-end-date');
     
-    endDate.value = today.toISOString().split('T')[0];
+    endDate.value = today;
     
     switch(range) {
         case 'week':
-            const weekAgo = new Date(today);
-            weekAgo.setDate(today.getDate() - 7);
-            startDate.value = weekAgo.toISOString().split('T')[0];
+            startDate.value = DateService.addDays(today, -7);
             break;
         case 'month':
-            const monthAgo = new Date(today);
-            monthAgo.setMonth(today.getMonth() - 1);
-            startDate.value = monthAgo.toISOString().split('T')[0];
+            startDate.value = DateService.addMonths(today, -1);
             break;
         case 'all':
             startDate.value = '2024-01-01';
@@ -1688,22 +7039,7 @@ function getDateRangeData() {
         return [];
     }
     
-    const allData = [];
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    
-    for (let date = new Date(start); date <= end; date.setDate(date.getDate() + 1)) {
-        const dateString = date.toISOString().split('T')[0];
-        const data = localStorage.getItem(`mastery_${dateString}`);
-        if (data) {
-            allData.push({
-                date: dateString,
-                data: JSON.parse(data)
-            });
-        }
-    }
-    
-    return allData;
+    return getDayRecordsInRange(startDate, endDate);
 }
 
 function exportToCSV(csvData, filename) {
@@ -1724,37 +7060,25 @@ function exportDailyProgress() {
     const data = getDateRangeData();
     if (data.length === 0) return;
     
-    let csv = 'Date,Total XP,Creation XP,Physical XP,Meditation XP,Recovery XP,Alignment,Streak Valid\n';
+    // One column per configured domain, plus retired ones that hold XP in the range
+    const summaries = data.map(day => XPLedger.getDaySummary(day.date));
+    const domainIds = getReportedDomainIds(summaries);
+    const domainColumns = domainIds.map(domain => `"${getDomainInfo(domain).name.replace(/"/g, '""')} XP"`).join(',');
     
-    data.forEach(day => {
+    let csv = `Date,Total XP,${domainColumns},Task XP,Alignment,Streak Valid\n`;
+    
+    data.forEach((day, index) => {
         const dayData = day.data;
-        let totalXP = 0;
-        let creationXP = 0;
-        let physicalXP = 0;
-        let meditationXP = 0;
-        let recoveryXP = 0;
-        
-        if (dayData.domains) {
-            Object.keys(dayData.domains).forEach(domain => {
-                const xp = dayData.domains[domain].total;
-                totalXP += xp;
-                
-                switch(domain) {
-                    case 'creation': creationXP = xp; break;
-                    case 'physical': physicalXP = xp; break;
-                    case 'meditation': meditationXP = xp; break;
-                    case 'recovery': recoveryXP = xp; break;
-                }
-            });
-        }
+        const xp = summaries[index];
+        const domainXP = domainIds.map(domain => xp.domains[domain] || 0).join(',');
         
         const alignment = dayData.alignment ? 'YES' : 'NO';
-        const streakValid = (dayData.alignment && totalXP >= 160) ? 'YES' : 'NO';
+        const streakValid = evaluateStreakDay(day.date).status === 'met' ? 'YES' : 'NO';
         
-        csv += `"${day.date}",${totalXP},${creationXP},${physicalXP},${meditationXP},${recoveryXP},${alignment},${streakValid}\n`;
+        csv += `"${day.date}",${xp.total},${domainXP},${xp.sources.task},${alignment},${streakValid}\n`;
     });
     
-    const filename = `hollywood_mastery_daily_${getDateRangeString()}.csv`;
+    const filename = `${getExportFilePrefix()}_daily_${getDateRangeString()}.csv`;
     exportToCSV(csv, filename);
     alert(`✅ Daily Progress exported: ${data.length} days`);
 }
@@ -1763,7 +7087,8 @@ function exportTasks() {
     const data = getDateRangeData();
     if (data.length === 0) return;
     
-    let csv = 'Date,Task,Category,XP,Completed,Timestamp\n';
+    let csv = 'Date,Task,Category,XP,Completed,Timestamp,Earned XP,Subtasks,Notes,Links\n';
+    const quote = value => `"${String(value).replace(/"/g, '""')}"`;
     
     data.forEach(day => {
         const dayData = day.data;
@@ -1772,12 +7097,14 @@ function exportTasks() {
             dayData.tasks.forEach(task => {
                 const completed = task.completed ? 'YES' : 'NO';
                 const timestamp = task.timestamp ? new Date(task.timestamp).toLocaleString() : 'N/A';
-                csv += `"${day.date}","${task.text.replace(/"/g, '""')}","${task.category}",${task.xp},${completed},"${timestamp}"\n`;
+                const subtasks = (task.subtasks || []).map(subtask => `[${subtask.done ? 'x' : ' '}] ${subtask.text}`).join('; ');
+                const links = (task.links || []).map(link => (link.label === link.url ? link.url : `${link.label} <${link.url}>`)).join('; ');
+                csv += `"${day.date}",${quote(task.text)},"${task.category}",${task.xp},${completed},"${timestamp}",${getTaskEarnedXP(task)},${quote(subtasks)},${quote(task.notes || '')},${quote(links)}\n`;
             });
         }
     });
     
-    const filename = `hollywood_mastery_tasks_${getDateRangeString()}.csv`;
+    const filename = `${getExportFilePrefix()}_tasks_${getDateRangeString()}.csv`;
     exportToCSV(csv, filename);
     alert(`✅ Tasks exported: ${data.length} days`);
 }
@@ -1786,24 +7113,37 @@ function exportDomainProgress() {
     const data = getDateRangeData();
     if (data.length === 0) return;
     
-    let csv = 'Date,Domain,Total XP,Activities Count,Target,Percentage\n';
+    let csv = 'Date,Domain,Total XP,Activities Count,Target,Percentage,Activity Details\n';
     
-    data.forEach(day => {
+    const summaries = data.map(day => XPLedger.getDaySummary(day.date));
+    const domainIds = getReportedDomainIds(summaries);
+    
+    data.forEach((day, index) => {
         const dayData = day.data;
+        const xp = summaries[index];
         
-        if (dayData.domains) {
-            Object.keys(dayData.domains).forEach(domain => {
-                const domainData = dayData.domains[domain];
-                const target = DOMAINS[domain]?.target || 40;
-                const percentage = ((domainData.total / target) * 100).toFixed(1);
-                const activityCount = domainData.activities ? domainData.activities.length : 0;
-                
-                csv += `"${day.date}","${domain}",${domainData.total},${activityCount},${target},${percentage}\n`;
-            });
-        }
+        domainIds.forEach(domain => {
+            const domainData = (dayData.domains || {})[domain];
+            const domainXP = xp.domains[domain] || 0;
+            if (!domainData && domainXP === 0) return;
+            
+            const target = getDomainInfo(domain).target;
+            const percentage = ((domainXP / target) * 100).toFixed(1);
+            const activities = domainData && domainData.activities ? domainData.activities : [];
+            const activityCount = activities.length;
+            
+            // "Gym 45 minutes • notes (7 XP); ..." per logged activity
+            const details = activities.map(activity => {
+                const info = getCategoryInfo(activity.category);
+                const extra = formatActivityDetails(activity);
+                return `${activity.source === 'quick' ? 'Quick XP' : info.name}${extra ? ` ${extra}` : ''} (${activity.xp} XP)`;
+            }).join('; ');
+            
+            csv += `"${day.date}","${domain}",${domainXP},${activityCount},${target},${percentage},"${details.replace(/"/g, '""')}"\n`;
+        });
     });
     
-    const filename = `hollywood_mastery_domains_${getDateRangeString()}.csv`;
+    const filename = `${getExportFilePrefix()}_domains_${getDateRangeString()}.csv`;
     exportToCSV(csv, filename);
     alert(`✅ Domain Progress exported: ${data.length} days`);
 }
@@ -1815,10 +7155,10 @@ function exportHollywoodMetrics() {
     let csv = 'Month,Tier 1 Auditions,Tier 2 Auditions,Callbacks,Roles Booked,Total Opportunities,Success Rate\n';
     
     months.forEach(month => {
-        const tier1 = localStorage.getItem(`mastery_tier1-auditions_${month}`) || 0;
-        const tier2 = localStorage.getItem(`mastery_tier2-auditions_${month}`) || 0;
-        const callbacks = localStorage.getItem(`mastery_callbacks-count_${month}`) || 0;
-        const roles = localStorage.getItem(`mastery_roles-count_${month}`) || 0;
+        const tier1 = StorageEngine.getItem(`mastery_tier1-auditions_${month}`) || 0;
+        const tier2 = StorageEngine.getItem(`mastery_tier2-auditions_${month}`) || 0;
+        const callbacks = StorageEngine.getItem(`mastery_callbacks-count_${month}`) || 0;
+        const roles = StorageEngine.getItem(`mastery_roles-count_${month}`) || 0;
         
         const totalOpportunities = parseInt(tier1) + parseInt(tier2);
         const successRate = totalOpportunities > 0 ? ((parseInt(roles) / totalOpportunities) * 100).toFixed(1) : 0;
@@ -1826,7 +7166,7 @@ function exportHollywoodMetrics() {
         csv += `"${month}",${tier1},${tier2},${callbacks},${roles},${totalOpportunities},${successRate}%\n`;
     });
     
-    const filename = `hollywood_mastery_metrics_${getDateRangeString()}.csv`;
+    const filename = `${getExportFilePrefix()}_metrics_${getDateRangeString()}.csv`;
     exportToCSV(csv, filename);
     alert('✅ Hollywood Metrics exported');
 }
@@ -1847,34 +7187,200 @@ function getDateRangeString() {
 }
 
 function getMonthsInRange() {
-    const startDate = new Date(document.getElementById('export-start-date').value);
-    const endDate = new Date(document.getElementById('export-end-date').value);
+    const startDate = document.getElementById('export-start-date').value;
+    const endDate = document.getElementById('export-end-date').value;
     const months = [];
     
-    let current = new Date(startDate.getFullYear(), startDate.getMonth(), 1);
+    let current = `${startDate.slice(0, 7)}-01`;
     
     while (current <= endDate) {
-        months.push(current.toISOString().slice(0, 7));
-        current.setMonth(current.getMonth() + 1);
+        months.push(current.slice(0, 7));
+        current = DateService.addMonths(current, 1);
     }
     
     return months;
 }
 
+// ENHANCED: Date Service
+// Every day key ("mastery_YYYY-MM-DD") is a logical day: the local calendar
+// date, shifted back by the rollover hour so a rehearsal that runs until 2 am
+// still counts for the evening it started. Dates are always built from local
+// calendar fields, never from toISOString(), which is UTC.
+//
+// Travel across timezones:
+// - Flying west would turn the clock back into a day that already ended. The
+//   logical day never moves backwards, so today stays open until the local
+//   calendar catches up instead of two days merging into one record.
+// - Flying east can jump over a day that was never lived. Such days are
+//   recorded as travel days, which streaks treat as neutral.
+const DAY_ROLLOVER_HOURS = [0, 1, 2, 3, 4, 5, 6];
+const MS_PER_HOUR = 60 * 60 * 1000;
+const TRAVEL_MIN_SHIFT_MINUTES = 3 * 60; // Smaller shifts are daylight saving, not travel
+
+const DateService = {
+    formatDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    },
+    
+    // Local midnight of a YYYY-MM-DD string (new Date('YYYY-MM-DD') is UTC)
+    parseDate(dateString) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+    
+    addDays(dateString, days) {
+        const date = this.parseDate(dateString);
+        date.setDate(date.getDate() + days);
+        return this.formatDate(date);
+    },
+    
+    // Clamps to the end of shorter months (Mar 31 - 1 month = Feb 28/29)
+    addMonths(dateString, months) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        const lastDay = new Date(year, month - 1 + months + 1, 0).getDate();
+        return this.formatDate(new Date(year, month - 1 + months, Math.min(day, lastDay)));
+    },
+    
+    getDayOfWeek(dateString) {
+        return this.parseDate(dateString).getDay();
+    },
+    
+    // Whole calendar days from one date to another (rounding absorbs DST hours)
+    getDaysBetween(fromDate, toDate) {
+        return Math.round((this.parseDate(toDate) - this.parseDate(fromDate)) / 86400000);
+    },
+    
+    getSettings() {
+        return { rolloverHour: 0, travelDays: [], ...safeLocalStorageGet('day_settings', {}) };
+    },
+    
+    saveSettings(settings) {
+        safeLocalStorageSet('day_settings', settings);
+    },
+    
+    // Calendar date of the logical day containing `now`, ignoring the travel guard
+    getLogicalDate(now = new Date()) {
+        const date = new Date(now);
+        if (date.getHours() < this.getSettings().rolloverHour) {
+            date.setDate(date.getDate() - 1);
+        }
+        return this.formatDate(date);
+    },
+    
+    getToday(now = new Date()) {
+        const date = this.getLogicalDate(now);
+        const clock = safeLocalStorageGet('day_clock', {});
+        
+        if (clock.lastDate && date < clock.lastDate) {
+            return clock.lastDate;
+        }
+        if (date !== clock.lastDate) {
+            if (clock.lastDate) this.recordTravelDays(clock, date, now);
+            safeLocalStorageSet('day_clock', { lastDate: date, timezoneOffset: now.getTimezoneOffset() });
+        }
+        return date;
+    },
+    
+    // After a timezone change, compare the real time between the end of the
+    // last seen day (old zone) and the start of today (new zone) with the
+    // calendar days in between. Whole days the clock jumped over become travel
+    // days; the rest were simply days away from the app.
+    recordTravelDays(clock, date, now) {
+        if (clock.timezoneOffset === undefined) return;
+        if (Math.abs(clock.timezoneOffset - now.getTimezoneOffset()) < TRAVEL_MIN_SHIFT_MINUTES) return;
+        
+        const skipped = [];
+        for (let gap = this.addDays(clock.lastDate, 1); gap < date; gap = this.addDays(gap, 1)) {
+            skipped.push(gap);
+        }
+        if (skipped.length === 0) return;
+        
+        const [year, month, day] = clock.lastDate.split('-').map(Number);
+        const lastDayEnd = Date.UTC(year, month - 1, day + 1, this.getSettings().rolloverHour) +
+            clock.timezoneOffset * 60 * 1000;
+        const available = this.getDayStart(date).getTime() - lastDayEnd;
+        const lost = Math.ceil((skipped.length * 24 * MS_PER_HOUR - available) / (24 * MS_PER_HOUR));
+        if (lost <= 0) return;
+        
+        const settings = this.getSettings();
+        settings.travelDays = Array.from(new Set(settings.travelDays.concat(skipped.slice(-lost)))).sort();
+        this.saveSettings(settings);
+    },
+    
+    isTravelDay(dateString) {
+        return this.getSettings().travelDays.includes(dateString);
+    },
+    
+    // Local moment a logical day begins
+    getDayStart(dateString) {
+        const start = this.parseDate(dateString);
+        start.setHours(this.getSettings().rolloverHour, 0, 0, 0);
+        return start;
+    },
+    
+    getDayEnd(now = new Date()) {
+        return this.getDayStart(this.addDays(this.getToday(now), 1));
+    },
+    
+    getHoursUntilDayEnd(now = new Date()) {
+        return Math.max(0, (this.getDayEnd(now) - now) / MS_PER_HOUR);
+    },
+    
+    getCurrentMonth() {
+        return getToday().slice(0, 7);
+    }
+};
+
 function getToday() {
-    return new Date().toISOString().split('T')[0];
+    return DateService.getToday();
 }
 
+// Monday of the current logical week
 function getWeekStart() {
-    const today = new Date();
-    const day = today.getDay();
-    const diff = today.getDate() - day + (day === 0 ? -6 : 1);
-    const monday = new Date(today.setDate(diff));
-    return monday.toISOString().split('T')[0];
+    const today = getToday();
+    const day = DateService.getDayOfWeek(today);
+    return DateService.addDays(today, day === 0 ? -6 : 1 - day);
+}
+
+function setDayRollover(hour) {
+    const settings = DateService.getSettings();
+    settings.rolloverHour = Number(hour);
+    DateService.saveSettings(settings);
+    
+    // The boundary may move today back or forward, so redraw everything day-bound
+    refreshAfterAction();
+    loadTodaysGoal();
+    updateStreakCalculator();
+    updateStreakUrgency();
+    loadWeekHeatmap();
+    loadDayBoundarySettings();
+}
+
+function loadDayBoundarySettings() {
+    const { rolloverHour, travelDays } = DateService.getSettings();
+    const select = document.getElementById('day-rollover');
+    
+    select.innerHTML = '';
+    DAY_ROLLOVER_HOURS.forEach(hour => {
+        const label = hour === 0 ? 'Midnight' : `${hour}:00 AM`;
+        select.appendChild(new Option(label, hour, false, hour === rolloverHour));
+    });
+    
+    let status = `Today is ${DateService.parseDate(getToday()).toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' })}`;
+    if (travelDays.length > 0) status += ` • ${travelDays.length} travel day${travelDays.length === 1 ? '' : 's'} excused`;
+    document.getElementById('day-boundary-status').textContent = status;
 }
 
 // Initialize the enhanced app
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
+    await StorageEngine.init();
+    ProfileManager.init();
+    DomainConfig.init();
+    AuditLog.init();
+    runDayMigrations();
+    XPLedger.init();
     initializeApp();
     setInterval(loadStreak, 3600000);
     setInterval(updateStreakUrgency, 60000);
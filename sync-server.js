@@ -0,0 +1,208 @@
+// Reference sync endpoint for Stardom OS.
+// No dependencies: `node sync-server.js` (or `npm run sync-server`).
+//
+// Environment:
+//   PORT            port to listen on (default 8787)
+//   SYNC_TOKEN      if set, clients must send "Authorization: Bearer <token>";
+//                   a comma-separated list lets several people share a server
+//   SYNC_DATA_FILE  JSON file holding all records (default sync-data.json)
+//
+// Records are kept in spaces, one per account (the bearer token) and profile
+// (the "profile" query parameter), so people and profiles never overwrite
+// each other. Pulls and pushes only see their own space.
+//
+// Every record carries a revision. A push is accepted only when its baseRev
+// matches the stored revision; otherwise the stored record is returned as a
+// conflict and the client merges it before pushing again.
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8787;
+const TOKENS = (process.env.SYNC_TOKEN || '').split(',').map(token => token.trim()).filter(Boolean);
+const DATA_FILE = process.env.SYNC_DATA_FILE || 'sync-data.json';
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const PROFILE_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const DEFAULT_PROFILE = 'default';
+// Record keys index plain objects, so names that reach Object.prototype are refused
+const RESERVED_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Bad requests: their message goes back to the client as a 400
+class SyncRequestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SyncRequestError';
+    }
+}
+
+// Tokens are never written to the data file, only a digest of them
+function getAccountId(token) {
+    return token ? crypto.createHash('sha256').update(token).digest('hex').slice(0, 32) : 'public';
+}
+
+function getSpaceId(token, profile) {
+    return `${getAccountId(token)}/${profile}`;
+}
+
+function loadStore() {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return { spaces: {} };
+    }
+
+    // Data files from before spaces hold one shared record set; it becomes
+    // the default profile of the first configured token
+    if (!data.spaces) {
+        return { spaces: { [getSpaceId(TOKENS[0], DEFAULT_PROFILE)]: { seq: data.seq, records: data.records } } };
+    }
+    return data;
+}
+
+const store = loadStore();
+
+function saveStore() {
+    const tempFile = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(store));
+    fs.renameSync(tempFile, DATA_FILE);
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new SyncRequestError('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new SyncRequestError('Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function getSpace(spaceId) {
+    if (!store.spaces[spaceId]) {
+        store.spaces[spaceId] = { seq: 0, records: {} };
+    }
+    return store.spaces[spaceId];
+}
+
+function pull(space, since) {
+    const records = Object.values(space.records)
+        .filter(record => record.seq > since)
+        .sort((a, b) => a.seq - b.seq);
+    return { records, cursor: space.seq };
+}
+
+function validateRecord(incoming, index) {
+    if (!incoming || typeof incoming !== 'object') {
+        throw new SyncRequestError(`records[${index}] must be an object`);
+    }
+    if (typeof incoming.key !== 'string' || incoming.key === '') {
+        throw new SyncRequestError(`records[${index}].key must be a non-empty string`);
+    }
+    if (RESERVED_KEYS.includes(incoming.key)) {
+        throw new SyncRequestError(`records[${index}].key "${incoming.key}" is reserved`);
+    }
+}
+
+function push(space, body) {
+    if (!body || !Array.isArray(body.records)) {
+        throw new SyncRequestError('Expected { records: [...] }');
+    }
+    // Checked up front so a bad record never leaves a push half applied
+    body.records.forEach(validateRecord);
+
+    const accepted = [];
+    const conflicts = [];
+
+    body.records.forEach(incoming => {
+        const current = Object.prototype.hasOwnProperty.call(space.records, incoming.key) ? space.records[incoming.key] : null;
+        const currentRev = current ? current.rev : 0;
+
+        // A key the store has never seen (new, or pushed again after the
+        // data file was reset) has nothing to conflict with
+        if (current && incoming.baseRev !== currentRev) {
+            conflicts.push(current);
+            return;
+        }
+
+        space.seq++;
+        space.records[incoming.key] = {
+            key: incoming.key,
+            value: incoming.deleted ? null : incoming.value,
+            deleted: Boolean(incoming.deleted),
+            updatedAt: incoming.updatedAt,
+            deviceId: incoming.deviceId || body.deviceId,
+            rev: currentRev + 1,
+            seq: space.seq
+        };
+        accepted.push({ key: incoming.key, rev: currentRev + 1 });
+    });
+
+    if (accepted.length > 0) saveStore();
+    return { accepted, conflicts };
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204);
+
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/health') return send(res, 200, { ok: true });
+
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (TOKENS.length > 0 && !TOKENS.includes(token)) {
+        return send(res, 401, { error: 'Unauthorized' });
+    }
+
+    const profile = url.searchParams.get('profile') || DEFAULT_PROFILE;
+    if (!PROFILE_PATTERN.test(profile)) {
+        return send(res, 400, { error: 'Invalid profile' });
+    }
+    const spaceId = getSpaceId(token, profile);
+
+    try {
+        if (req.method === 'GET' && url.pathname === '/pull') {
+            const space = store.spaces[spaceId] || { seq: 0, records: {} };
+            return send(res, 200, pull(space, Number(url.searchParams.get('since')) || 0));
+        }
+        if (req.method === 'POST' && url.pathname === '/push') {
+            return send(res, 200, push(getSpace(spaceId), await readBody(req)));
+        }
+        send(res, 404, { error: 'Not found' });
+    } catch (error) {
+        if (error instanceof SyncRequestError) {
+            return send(res, 400, { error: error.message });
+        }
+        console.error('Sync request failed:', error);
+        send(res, 500, { error: 'Internal server error' });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Stardom OS sync server listening on http://localhost:${PORT} (data: ${DATA_FILE})`);
+});